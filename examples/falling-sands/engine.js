@@ -49,6 +49,11 @@ function createEngine(opts) {
   const snapshotDir = (opts && opts.snapshotDir) || __dirname;
   const chainId = (opts && opts.chainId) || null;
   const TICK_EPOCH = (opts && opts.epoch) || DEFAULT_TICK_EPOCH;
+  // authorizeReset(req, cmd) → boolean, called on every { type: "reset" }
+  // with the WebSocket upgrade request and the command itself, so a client
+  // that signed in after connecting can prove it with cmd.ticket. Without
+  // it, reset is refused.
+  const authorizeReset = (opts && typeof opts.authorizeReset === "function") ? opts.authorizeReset : null;
 
   function timestampToTick(ms) { return Math.floor((ms - TICK_EPOCH) / TICK_INTERVAL_MS); }
   function tickToTimestamp(tick) { return TICK_EPOCH + tick * TICK_INTERVAL_MS; }
@@ -547,7 +552,11 @@ function createEngine(opts) {
             const total = [...wss.clients].filter(c => readyClients.has(c)).length;
             console.log(`WS  client ready   (total ready: ${total})`);
           } else if (cmd.type === "reset") {
-            universe.reset();
+            if (authorizeReset && authorizeReset(req, cmd)) {
+              universe.reset();
+            } else {
+              console.warn(`WS  reset refused (not authorized)  ip=${ip}`);
+            }
           }
         } catch (_) {}
       });
@@ -9,12 +9,18 @@
  *   npm install
  *   node server.js              # starts on http://localhost:3333
  *   node server.js --local-dev  # enables mock transaction endpoints
+ *   node server.js --local-dev --mock-ledger    # + mock balances (1000 per new pubkey)
+ *   node server.js --local-dev --mock-faucet N  # + mock balances (N per new pubkey)
+ *   node server.js --local-dev --mock-store F   # + persist mock txs to F (NDJSON)
+ *   node server.js --local-dev --seed F         # + load scenario fixture F (JSON/JS) at startup
+ *   node server.js --local-dev --faults drop=0.1,jitter=3000  # + inject send/listing faults
+ *   node server.js --local-dev --mock-blocks [slot=2000,depth=2,orphan=0.05]  # + simulated blocks
  */
 
 const http = require("http");
 const fs = require("fs");
 const path = require("path");
-const { handleExplorerProxy, createMockApi, createAppStateCache, createNodeStatusProbe, fetchAllTransactions, discoverChainInfo, resolvePath } = require("../lib/dapp-server");
+const { handleExplorerProxy, createMockApi, mockApiOptions, createAppStateCache, createNodeStatusProbe, createAuthSessions, fetchAllTransactions, discoverChainInfo, resolvePath } = require("../lib/dapp-server");
 const createEngine = require("./engine");
 
 // ── CLI flags ────────────────────────────────────────────────────────────────
@@ -30,6 +36,14 @@ const APP_PUBKEY = "ut1r96pdaa7h2k4vf62w3w598fyrelv9wru4t53qtgswgfzpsvz77msj588u
 // with `--enable-recent-tx-stream`).
 const NODE_RPC_URL = process.env.NODE_RPC_URL || null;
 
+// Pubkey allowed to send the WebSocket `reset` command once signed in
+// (usernode.signIn). Anyone may reset in --local-dev.
+const SANDS_ADMIN_PUBKEY = process.env.SANDS_ADMIN_PUBKEY || "";
+// Its raw Ed25519 public key (hex or base64). Sign-in only trusts keys the
+// server knows, so the admin can't sign in without it (mock pubkeys carry
+// their own key).
+const SANDS_ADMIN_PUBLIC_KEY = process.env.SANDS_ADMIN_PUBLIC_KEY || "";
+
 // ── Static file paths ────────────────────────────────────────────────────────
 const BRIDGE_PATH = resolvePath(
   path.join(__dirname, "usernode-bridge.js"),
@@ -45,7 +59,29 @@ const WASM_PATH = path.join(__dirname, "sandspiel", "crate", "pkg", "sandtable_b
 const WASM_BROWSER_PATH = path.join(__dirname, "wasm-browser.js");
 
 // ── Mock API ─────────────────────────────────────────────────────────────────
-const mockApi = createMockApi({ localDev: LOCAL_DEV });
+const mockApi = createMockApi({
+  localDev: LOCAL_DEV,
+  ...mockApiOptions(process.argv),
+  seedPubkeys: { sands_app: APP_PUBKEY }, // same alias as the combined server
+});
+
+// ── Sign-in sessions (gate admin-only commands) ──────────────────────────────
+const auth = createAuthSessions({
+  appName: "Falling Sands",
+  secure: !LOCAL_DEV,
+  localDev: LOCAL_DEV,
+  resolvePublicKey: (address) =>
+    address === SANDS_ADMIN_PUBKEY && SANDS_ADMIN_PUBLIC_KEY ? SANDS_ADMIN_PUBLIC_KEY : null,
+});
+
+// The socket's own cookie covers a client that signed in before connecting;
+// cmd.ticket (POST /__usernode/auth/ticket) one that signed in afterwards.
+function isSandsAdmin(req, cmd) {
+  if (LOCAL_DEV) return true;
+  if (!SANDS_ADMIN_PUBKEY) return false;
+  return auth.getPubkey(req) === SANDS_ADMIN_PUBKEY ||
+    auth.redeemTicket(cmd && cmd.ticket) === SANDS_ADMIN_PUBKEY;
+}
 
 // ── Sidecar /status probe (powers usernode-loading.js overlay) ──────────────
 // Falling-sands' own HTML doesn't show the overlay (its WASM loader already
@@ -90,6 +126,7 @@ let engineCache = null;
     chainId: chainInfo.chainId,
     epoch: chainInfo.genesisTimestampMs,
     replayTxs,
+    authorizeReset: isSandsAdmin,
   };
   if (process.env.SNAPSHOT_DIR) {
     const dir = path.resolve(process.env.SNAPSHOT_DIR);
@@ -191,11 +228,14 @@ const server = http.createServer((req, res) => {
     return send(res, 503, { "Content-Type": "text/plain" }, "Engine loading...");
   }
 
+  // Sign-in sessions
+  if (auth.handleRequest(req, res, pathname)) return;
+
   // Mock API
   if (mockApi.handleRequest(req, res, pathname)) return;
 
   // Explorer proxy
-  if (handleExplorerProxy(req, res, pathname)) return;
+  if (handleExplorerProxy(req, res, pathname, { mockApi })) return;
 
   // Serve index.html
   if (pathname === "/" || pathname === "/index.html") {
@@ -6,37 +6,9 @@
  * the combined examples server.
  */
 
-const APP_ID = "lastwin";
-
-function parseMemo(m) {
-  if (m == null) return null;
-  try { return JSON.parse(String(m)); } catch (_) { return null; }
-}
+const { createMemoRouter } = require("../lib/dapp-server");
 
-function extractTimestamp(tx) {
-  const candidates = [tx.timestamp_ms, tx.created_at, tx.createdAt, tx.timestamp, tx.time];
-  for (const v of candidates) {
-    if (typeof v === "number" && Number.isFinite(v))
-      return v < 10_000_000_000 ? v * 1000 : v;
-    if (typeof v === "string" && v.trim()) {
-      const t = Date.parse(v);
-      if (!Number.isNaN(t)) return t;
-    }
-  }
-  return null;
-}
-
-function normalizeTx(tx) {
-  if (!tx || typeof tx !== "object") return null;
-  return {
-    id: tx.tx_id || tx.id || tx.txid || tx.hash || null,
-    from: tx.from_pubkey || tx.from || tx.source || null,
-    to: tx.destination_pubkey || tx.to || tx.destination || null,
-    amount: tx.amount != null ? Number(tx.amount) : 0,
-    memo: tx.memo != null ? String(tx.memo) : null,
-    ts: extractTimestamp(tx) || Date.now(),
-  };
-}
+const APP_ID = "lastwin";
 
 function createLastOneWins(opts) {
   const appPubkey = opts.appPubkey || "ut1_lastwin_default_pubkey";
@@ -62,6 +34,10 @@ function createLastOneWins(opts) {
   const usernames = new Map();
   const seenTxIds = new Set();
   let signerConfigured = false;
+  // round → the synthetic payout tx applied when checkPayout sent it, until
+  // the chain's own payout for that round shows up. A rollback's replay only
+  // covers what the chain has shown, so rollback() re-applies these.
+  const sentPayouts = new Map();
 
   function getTimerDuration() {
     return localDev ? MOCK_TIMER_DURATION_MS : timerDurationMs;
@@ -98,59 +74,75 @@ function createLastOneWins(opts) {
     };
   }
 
-  function processTransaction(rawTx) {
-    const tx = normalizeTx(rawTx);
-    if (!tx || !tx.id || !tx.from || !tx.to) return;
-    if (seenTxIds.has(tx.id)) return;
-    seenTxIds.add(tx.id);
-
-    // Accept txs sent TO the app (entries) or FROM the app (payouts)
-    if (tx.to !== appPubkey && tx.from !== appPubkey) return;
-
-    const memo = parseMemo(tx.memo);
-    if (!memo || memo.app !== APP_ID) return;
-
-    if (memo.type === "set_username" && tx.to === appPubkey) {
-      const raw = String(memo.username || "").trim();
-      if (raw) {
-        const prev = usernames.get(tx.from);
-        if (!prev || tx.ts >= prev.ts) {
-          usernames.set(tx.from, { name: raw, ts: tx.ts });
-        }
-      }
-      return;
+  function onEntry(memo, tx) {
+    if (!tx.from || !(tx.amount > 0)) return;
+    state.potBalance += tx.amount;
+    if (!state.lastEntryTs || tx.ts >= state.lastEntryTs) {
+      state.lastSender = tx.from;
+      state.lastEntryTs = tx.ts;
     }
+    state.entries.push({ from: tx.from, amount: tx.amount, ts: tx.ts, txId: tx.id });
+    console.log(`[game] entry: ${tx.from.slice(0, 16)}… sent ${tx.amount}, pot=${state.potBalance}, round=${state.roundNumber}`);
+  }
 
-    if (memo.type === "entry" && tx.to === appPubkey) {
-      const amount = tx.amount || 0;
-      if (amount <= 0) return;
-      state.potBalance += amount;
-      if (!state.lastEntryTs || tx.ts >= state.lastEntryTs) {
-        state.lastSender = tx.from;
-        state.lastEntryTs = tx.ts;
-      }
-      state.entries.push({ from: tx.from, amount, ts: tx.ts, txId: tx.id });
-      console.log(`[game] entry: ${tx.from.slice(0, 16)}… sent ${amount}, pot=${state.potBalance}, round=${state.roundNumber}`);
-    } else if (memo.type === "payout" && tx.from === appPubkey) {
-      const round = memo.round || state.roundNumber;
-      state.pastRounds.push({
-        round,
-        winner: memo.winner || tx.to,
-        amount: tx.amount || 0,
-        payoutTs: tx.ts,
-        payoutTxId: tx.id,
-      });
-      if (round >= state.roundNumber) {
-        state.roundNumber = round + 1;
-        state.potBalance = 0;
-        state.lastSender = null;
-        state.lastEntryTs = null;
-        state.entries = [];
-      }
-      console.log(`[game] payout detected: round ${round}, advancing to round ${state.roundNumber}`);
+  function onPayout(memo, tx) {
+    const round = memo.round || state.roundNumber;
+    const past = {
+      round,
+      winner: memo.winner || tx.to,
+      amount: tx.amount || 0,
+      payoutTs: tx.ts,
+      payoutTxId: tx.id,
+    };
+    const sent = sentPayouts.get(round);
+    const synthetic = sent && sent.id !== tx.id
+      ? state.pastRounds.findIndex((r) => r.payoutTxId === sent.id)
+      : -1;
+    if (sent && sent.id !== tx.id) sentPayouts.delete(round); // the chain caught up
+    if (synthetic >= 0) state.pastRounds[synthetic] = past;
+    else state.pastRounds.push(past);
+    if (round >= state.roundNumber) {
+      state.roundNumber = round + 1;
+      state.potBalance = 0;
+      state.lastSender = null;
+      state.lastEntryTs = null;
+      state.entries = [];
+    }
+    console.log(`[game] payout detected: round ${round}, advancing to round ${state.roundNumber}`);
+  }
+
+  function onSetUsername(memo, tx) {
+    const name = String(memo.username || "").trim();
+    if (!tx.from || !name) return;
+    const prev = usernames.get(tx.from);
+    if (!prev || tx.ts >= prev.ts) {
+      usernames.set(tx.from, { name, ts: tx.ts });
     }
   }
 
+  // Entries are sent to the app, payouts by it. Fields are checked in the
+  // handlers, as leniently as ever, and memos the game doesn't use (other
+  // types, wrong direction) are dropped without a warning.
+  const router = createMemoRouter({
+    app: APP_ID,
+    appPubkey,
+    types: {
+      entry: { direction: "in" },
+      payout: { direction: "out" },
+      set_username: { direction: "in" },
+    },
+    handlers: { entry: onEntry, payout: onPayout, set_username: onSetUsername },
+    onReject() {},
+  });
+
+  function processTransaction(rawTx) {
+    if (!rawTx || typeof rawTx !== "object") return;
+    const id = rawTx.tx_id || rawTx.id || rawTx.txid || rawTx.hash;
+    if (!id || seenTxIds.has(id)) return;
+    seenTxIds.add(id);
+    router.processTransaction(rawTx);
+  }
+
   // ── Node RPC helpers ─────────────────────────────────────────────────────
 
   function httpJson(method, urlStr, body) {
@@ -280,6 +272,7 @@ function createLastOneWins(opts) {
           created_at: new Date().toISOString(),
           id: `payout_${round}_${Date.now()}`,
         };
+        sentPayouts.set(round, syntheticTx);
         processTransaction(syntheticTx);
       } else {
         console.error(`[payout] failed to send payout for round ${round}`);
@@ -316,7 +309,7 @@ function createLastOneWins(opts) {
     // surrounding createAppStateCache wiring in server.js.
   }
 
-  function reset() {
+  function clearDerivedState() {
     seenTxIds.clear();
     usernames.clear();
     state.roundNumber = 1;
@@ -325,11 +318,29 @@ function createLastOneWins(opts) {
     state.lastEntryTs = null;
     state.entries = [];
     state.pastRounds = [];
+  }
+
+  function reset() {
+    clearDerivedState();
+    sentPayouts.clear();
     state.payoutInProgress = false;
     signerConfigured = false;
     console.log("[game] state reset (chain restart detected)");
   }
 
+  // For the cache's onRollback, which replays the txs still on chain right
+  // after it returns. Unlike reset() it keeps an in-flight payout's flag and
+  // the signer, so checkPayout can't pay the same round a second time, and
+  // payouts sent but not yet seen on chain are re-applied once that
+  // replay is done.
+  function rollback() {
+    clearDerivedState();
+    queueMicrotask(() => {
+      for (const tx of sentPayouts.values()) processTransaction(tx);
+    });
+    console.log(`[game] state rolled back; ${sentPayouts.size} unconfirmed payout(s) to re-apply`);
+  }
+
   return {
     state,
     processTransaction,
@@ -338,6 +349,7 @@ function createLastOneWins(opts) {
     checkPayout,
     start,
     reset,
+    rollback,
     appPubkey,
   };
 }
@@ -8,6 +8,12 @@
  * Usage:
  *   node server.js              # production mode (connects to real node)
  *   node server.js --local-dev  # enables mock transaction endpoints
+ *   node server.js --local-dev --mock-ledger    # + mock balances (1000 per new pubkey)
+ *   node server.js --local-dev --mock-faucet N  # + mock balances (N per new pubkey)
+ *   node server.js --local-dev --mock-store F   # + persist mock txs to F (NDJSON)
+ *   node server.js --local-dev --seed F         # + load scenario fixture F (JSON/JS) at startup
+ *   node server.js --local-dev --faults drop=0.1,jitter=3000  # + inject send/listing faults
+ *   node server.js --local-dev --mock-blocks [slot=2000,depth=2,orphan=0.05]  # + simulated blocks
  *
  * Environment variables:
  *   PORT             — HTTP port (default 3333)
@@ -15,6 +21,8 @@
  *   APP_SECRET_KEY   — secret key for payout signing (required for chain mode)
  *   NODE_RPC_URL     — node RPC base URL (default https://alpha1.usernodelabs.org)
  *   TIMER_DURATION_MS — countdown duration in ms (default 86400000 = 24h)
+ *   CHECKPOINT_DIR   — persist the tx cache there; a restart then only
+ *                      backfills what came after the last checkpoint
  */
 
 const http = require("http");
@@ -24,6 +32,7 @@ const {
   loadEnvFile,
   handleExplorerProxy,
   createMockApi,
+  mockApiOptions,
   createAppStateCache,
   createUsernamesCache,
   createNodeStatusProbe,
@@ -54,7 +63,11 @@ const LOADING_PATH = resolvePath(
 );
 
 // ── Mock API ─────────────────────────────────────────────────────────────────
-const mockApi = createMockApi({ localDev: LOCAL_DEV });
+const mockApi = createMockApi({
+  localDev: LOCAL_DEV,
+  ...mockApiOptions(process.argv),
+  seedPubkeys: { lastwin_app: APP_PUBKEY }, // same alias as the combined server
+});
 
 // ── Game logic ───────────────────────────────────────────────────────────────
 const game = createLastOneWins({
@@ -83,6 +96,14 @@ const gameCache = createAppStateCache({
   localDev: LOCAL_DEV,
   mockTransactions: LOCAL_DEV ? mockApi.transactions : null,
   nodeRpcUrl: NODE_RPC_URL,
+  // Payouts follow the last entry, so a reorged-away entry must be undone.
+  // Entries then come from explorer polling rather than the node stream.
+  reorgAware: true,
+  onRollback(toHeight, revokedTxs) {
+    console.log(`[lastwin] rollback to height ${toHeight} revoked ${revokedTxs.length} tx(s), rebuilding game state`);
+    game.rollback();
+  },
+  checkpoint: process.env.CHECKPOINT_DIR ? path.resolve(process.env.CHECKPOINT_DIR) : null,
 });
 gameCache.start();
 
@@ -147,7 +168,7 @@ const server = http.createServer((req, res) => {
   if (mockApi.handleRequest(req, res, pathname)) return;
 
   // Explorer proxy
-  if (handleExplorerProxy(req, res, pathname)) return;
+  if (handleExplorerProxy(req, res, pathname, { mockApi })) return;
 
   // Serve index.html
   if (pathname === "/" || pathname === "/index.html") {
@@ -162,6 +183,19 @@ const server = http.createServer((req, res) => {
   send(res, 404, { "Content-Type": "text/plain" }, "Not found");
 });
 
+// ── Shutdown ─────────────────────────────────────────────────────────────────
+// The cache installs no signal handlers of its own. With a checkpoint, stop
+// it on SIGTERM / SIGINT (which saves what the timer hasn't yet), then exit.
+if (process.env.CHECKPOINT_DIR) {
+  for (const signal of ["SIGTERM", "SIGINT"]) {
+    process.once(signal, () => {
+      console.log(`\n${signal}: saving checkpoint`);
+      setTimeout(() => process.exit(0), 5000).unref();
+      gameCache.stop().then(() => process.exit(0));
+    });
+  }
+}
+
 // ── Start ────────────────────────────────────────────────────────────────────
 server.listen(PORT, "0.0.0.0", () => {
   const timerMinutes = Math.round((LOCAL_DEV ? 120000 : TIMER_DURATION_MS) / 60000);
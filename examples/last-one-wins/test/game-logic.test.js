@@ -0,0 +1,120 @@
+/**
+ * Server-side tests for last-one-wins/game-logic.js
+ * Run: node last-one-wins/test/game-logic.test.js
+ * Or: npm test (from the examples dir)
+ */
+const assert = require("assert");
+const http = require("http");
+const createLastOneWins = require("../game-logic.js");
+
+const APP = "ut1app";
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+const entry = (id, from, amount, ts) => ({
+  tx_id: id,
+  source: from,
+  destination: APP,
+  amount,
+  memo: JSON.stringify({ app: "lastwin", type: "entry" }),
+  timestamp_ms: ts,
+});
+
+// Node RPC stand-in: the signer call succeeds at once, each /wallet/send
+// waits for the test to call `release()`.
+function fakeNode() {
+  const sends = [];
+  let release = () => {};
+  const server = http.createServer((req, res) => {
+    const reply = (body) => {
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+    req.resume();
+    if (req.url === "/wallet/signer") return reply({ ok: true });
+    sends.push(req.url);
+    release = () => reply({ queued: true });
+  });
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve({
+    url: `http://127.0.0.1:${server.address().port}`,
+    sends,
+    release: () => release(),
+    close: () => server.close(),
+  })));
+}
+
+async function run() {
+  // --- rollback during a payout ---
+  {
+    const node = await fakeNode();
+    const game = createLastOneWins({
+      appPubkey: APP,
+      appSecretKey: "secret",
+      nodeRpcUrl: node.url,
+      timerDurationMs: 1000,
+    });
+    const onChain = [entry("e1", "ut1alice", 5, Date.now() - 5000), entry("e2", "ut1bob", 7, Date.now() - 4000)];
+    // What createAppStateCache's onRollback does: the game's hook, then a
+    // replay of the txs still on chain.
+    const reorg = () => {
+      game.rollback();
+      for (const tx of onChain) game.processTransaction(tx);
+    };
+    for (const tx of onChain) game.processTransaction(tx);
+    assert.strictEqual(game.state.lastSender, "ut1bob");
+
+    const payout = game.checkPayout();
+    for (let i = 0; i < 50 && !node.sends.length; i++) await sleep(10);
+    assert.strictEqual(node.sends.length, 1);
+
+    reorg();
+    await sleep(0);
+    assert.strictEqual(game.state.payoutInProgress, true, "a rollback keeps the in-flight flag");
+    await game.checkPayout();
+    assert.strictEqual(node.sends.length, 1, "no second payout while the first is in flight");
+
+    node.release();
+    await payout;
+    assert.strictEqual(game.state.roundNumber, 2);
+    assert.strictEqual(game.state.pastRounds.length, 1);
+
+    // The payout hasn't shown up on chain yet, so the replay alone would
+    // bring round 1 back, unpaid.
+    reorg();
+    await sleep(0);
+    assert.strictEqual(game.state.roundNumber, 2, "the sent payout is re-applied after the replay");
+    assert.strictEqual(game.state.potBalance, 0);
+    await game.checkPayout();
+    assert.strictEqual(node.sends.length, 1, "the winner is not paid twice");
+
+    // Once the chain lists it, it stands in for the synthetic one.
+    const seen = {
+      tx_id: "onchain-payout",
+      source: APP,
+      destination: "ut1bob",
+      amount: 12,
+      memo: JSON.stringify({ app: "lastwin", type: "payout", round: 1, winner: "ut1bob" }),
+      timestamp_ms: Date.now(),
+    };
+    onChain.push(seen);
+    game.processTransaction(seen);
+    assert.deepStrictEqual(game.state.pastRounds.map((r) => r.payoutTxId), ["onchain-payout"]);
+    reorg();
+    await sleep(0);
+    assert.strictEqual(game.state.roundNumber, 2);
+    assert.deepStrictEqual(game.state.pastRounds.map((r) => r.payoutTxId), ["onchain-payout"]);
+
+    // A chain reset is different: everything goes, the signer included.
+    game.reset();
+    assert.strictEqual(game.state.payoutInProgress, false);
+    assert.strictEqual(game.state.roundNumber, 1);
+    node.close();
+  }
+  console.log("✓ rollback during a payout");
+
+  console.log("\nAll tests passed.");
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
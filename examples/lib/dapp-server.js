@@ -110,163 +110,1561 @@ function httpsJson(method, urlStr, body) {
 
 // ── Explorer API proxy ───────────────────────────────────────────────────────
 //
-// Returns true if the request was handled (pathname starts with /explorer-api/).
+// Forwards /explorer-api/* upstream, shielding the explorer from our own
+// users' browsers:
+//   - 2xx responses are cached for cacheTtlMs, keyed on method + URL + body
+//   - identical requests in flight share one upstream call
+//   - each client IP gets a token bucket (ratePerSec, refilling up to burst);
+//     an empty bucket answers 429 with Retry-After
+//   - only upstream paths matching `allow` are forwarded, others get 403
+// Responses carry x-cache: hit | shared | miss. With opts.mockApi from a
+// --local-dev createMockApi, requests are answered from the mock store
+// instead (see handleExplorerRequest) and never leave the machine.
+
+// Every path the bridge and the example pages use. In patterns, `*` matches
+// one path segment and `**` the rest of the path.
+const DEFAULT_EXPLORER_PROXY_ALLOW = [
+  "active_chain",
+  "*/blocks",
+  "*/blocks/best_tip",
+  "*/blocks/best_tip/*/balance",
+  "*/transactions",
+  "*/txs/*",
+];
+
+// Defaults for createExplorerProxy, from EXPLORER_PROXY_CACHE_MS,
+// EXPLORER_PROXY_RATE (0 turns rate limiting off), EXPLORER_PROXY_BURST,
+// EXPLORER_PROXY_ALLOW (comma-separated patterns) and
+// EXPLORER_PROXY_TRUST_PROXY=1 (key buckets on X-Forwarded-For, for servers
+// behind a reverse proxy). Without it every client behind a proxy shares the
+// proxy's one bucket.
+function getExplorerProxySettings() {
+  const num = (name, fallback) => {
+    const n = Number(process.env[name]);
+    return process.env[name] != null && process.env[name] !== "" && Number.isFinite(n) && n >= 0 ? n : fallback;
+  };
+  const allow = process.env.EXPLORER_PROXY_ALLOW;
+  return {
+    cacheTtlMs: num("EXPLORER_PROXY_CACHE_MS", 2000),
+    ratePerSec: num("EXPLORER_PROXY_RATE", 10),
+    burst: num("EXPLORER_PROXY_BURST", 40),
+    allow: allow ? allow.split(",").map((p) => p.trim()).filter(Boolean) : DEFAULT_EXPLORER_PROXY_ALLOW,
+    trustProxy: process.env.EXPLORER_PROXY_TRUST_PROXY === "1",
+  };
+}
 
-function handleExplorerProxy(req, res, pathname, opts) {
-  const upstream = (opts && opts.upstream) || getExplorerUpstream();
-  const upstreamBase = (opts && opts.upstreamBase) || getExplorerUpstreamBase();
-  const prefix = "/explorer-api/";
+function compileExplorerAllow(patterns) {
+  return patterns.map((pattern) => new RegExp("^" + pattern.split("/").map((seg) =>
+    seg === "**" ? ".*" : seg === "*" ? "[^/]+" : seg.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+  ).join("/") + "$"));
+}
 
-  if (!pathname.startsWith(prefix)) return false;
+// Returns { handleRequest(req, res, pathname, callOpts) }, true if handled.
+// callOpts (upstream, upstreamBase, mockApi) override opts per request.
+function createExplorerProxy(opts) {
+  const settings = { ...getExplorerProxySettings(), ...opts };
+  const { cacheTtlMs, ratePerSec, trustProxy } = settings;
+  const burst = Math.max(1, settings.burst);
+  const allow = compileExplorerAllow(settings.allow);
+  const maxCacheEntries = settings.maxCacheEntries || 500;
+  const cache = new Map(); // key → { response, expires }, oldest first
+  const inFlight = new Map(); // key → Promise<response>
+  const buckets = new Map(); // client IP → { tokens, at }
+
+  // Drop expired entries and idle (refilled) buckets.
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of cache) if (entry.expires <= now) cache.delete(key);
+    for (const [ip, bucket] of buckets) {
+      if (bucket.tokens + (now - bucket.at) / 1000 * ratePerSec >= burst) buckets.delete(ip);
+    }
+  }, 60000).unref();
 
-  const upstreamPath = upstreamBase + "/" + pathname.slice(prefix.length);
-  const proto = explorerProto(upstream);
-  const upstreamUrl = new URL(`${proto}://${upstream}${upstreamPath}`);
+  // The last X-Forwarded-For hop is the one our proxy appended; earlier ones
+  // come from the client and could be anything.
+  function clientIp(req) {
+    const forwarded = trustProxy && req.headers["x-forwarded-for"];
+    return forwarded ? String(forwarded).split(",").pop().trim() : req.socket.remoteAddress;
+  }
 
-  void (async () => {
-    try {
-      let bodyBuf = null;
-      if (req.method === "POST") {
-        const chunks = [];
-        for await (const chunk of req) {
-          chunks.push(chunk);
-          if (chunks.reduce((s, c) => s + c.length, 0) > 1_000_000) {
-            res.writeHead(413, { "Content-Type": "text/plain" });
-            res.end("Body too large");
-            return;
-          }
-        }
-        bodyBuf = Buffer.concat(chunks);
-      }
-      const proxyReq = explorerTransport(upstream).request(upstreamUrl, {
-        method: req.method,
+  // Returns 0 when a token was taken, else the milliseconds until one is due.
+  function takeToken(ip) {
+    if (!(ratePerSec > 0)) return 0;
+    const now = Date.now();
+    const bucket = buckets.get(ip) || { tokens: burst, at: now };
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.at) / 1000 * ratePerSec);
+    bucket.at = now;
+    buckets.set(ip, bucket);
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return 0;
+    }
+    return (1 - bucket.tokens) / ratePerSec * 1000;
+  }
+
+  function requestUpstream(upstreamUrl, method, contentType, bodyBuf) {
+    return new Promise((resolve, reject) => {
+      const proxyReq = explorerTransport(upstreamUrl.host).request(upstreamUrl, {
+        method,
         headers: {
-          "content-type": req.headers["content-type"] || "application/json",
+          "content-type": contentType,
           accept: "application/json",
           ...(bodyBuf ? { "content-length": bodyBuf.length } : {}),
         },
       }, (proxyRes) => {
-        res.writeHead(proxyRes.statusCode || 502, {
-          "content-type": proxyRes.headers["content-type"] || "application/json",
+        const chunks = [];
+        proxyRes.on("data", (c) => chunks.push(c));
+        proxyRes.on("end", () => resolve({
+          status: proxyRes.statusCode || 502,
+          contentType: proxyRes.headers["content-type"] || "application/json",
+          body: Buffer.concat(chunks),
+        }));
+        proxyRes.on("error", reject);
+      });
+      proxyReq.on("error", reject);
+      if (bodyBuf) proxyReq.write(bodyBuf);
+      proxyReq.end();
+    });
+  }
+
+  // Resolves to { status, contentType, body, cache }.
+  function fetchCached(upstreamUrl, method, contentType, bodyBuf) {
+    const key = `${method} ${upstreamUrl}\n${bodyBuf ? bodyBuf.toString("utf8") : ""}`;
+    const cached = cache.get(key);
+    if (cached && cached.expires > Date.now()) return Promise.resolve({ ...cached.response, cache: "hit" });
+    if (cached) cache.delete(key);
+    const pending = inFlight.get(key);
+    if (pending) return pending.then((response) => ({ ...response, cache: "shared" }));
+
+    const request = requestUpstream(upstreamUrl, method, contentType, bodyBuf).then((response) => {
+      if (cacheTtlMs > 0 && response.status >= 200 && response.status < 300) {
+        cache.set(key, { response, expires: Date.now() + cacheTtlMs });
+        if (cache.size > maxCacheEntries) cache.delete(cache.keys().next().value);
+      }
+      return response;
+    });
+    inFlight.set(key, request);
+    request.then(() => inFlight.delete(key), () => inFlight.delete(key));
+    return request.then((response) => ({ ...response, cache: "miss" }));
+  }
+
+  function handleRequest(req, res, pathname, callOpts) {
+    const o = { ...settings, ...callOpts };
+    const prefix = "/explorer-api/";
+
+    if (!pathname.startsWith(prefix)) return false;
+    const subpath = pathname.slice(prefix.length);
+    if (o.mockApi && o.mockApi.handleExplorerRequest(req, res, subpath)) return true;
+
+    if (!allow.some((re) => re.test(subpath))) {
+      res.writeHead(403, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: `/explorer-api/${subpath} is not on the explorer proxy allowlist` }));
+      return true;
+    }
+    const waitMs = takeToken(clientIp(req));
+    if (waitMs > 0) {
+      res.writeHead(429, { "Content-Type": "application/json", "Retry-After": String(Math.ceil(waitMs / 1000)) });
+      res.end(JSON.stringify({ error: "Too many explorer requests, slow down" }));
+      return true;
+    }
+
+    const upstream = o.upstream || getExplorerUpstream();
+    const upstreamBase = o.upstreamBase != null ? o.upstreamBase : getExplorerUpstreamBase();
+    const upstreamUrl = new URL(`${explorerProto(upstream)}://${upstream}${upstreamBase}/${subpath}`);
+
+    void (async () => {
+      try {
+        let bodyBuf = null;
+        if (req.method === "POST") {
+          const chunks = [];
+          for await (const chunk of req) {
+            chunks.push(chunk);
+            if (chunks.reduce((s, c) => s + c.length, 0) > 1_000_000) {
+              res.writeHead(413, { "Content-Type": "text/plain" });
+              res.end("Body too large");
+              return;
+            }
+          }
+          bodyBuf = Buffer.concat(chunks);
+        }
+        const response = await fetchCached(
+          upstreamUrl, req.method, req.headers["content-type"] || "application/json", bodyBuf);
+        res.writeHead(response.status, {
+          "content-type": response.contentType,
           "access-control-allow-origin": "*",
+          "x-cache": response.cache,
         });
-        proxyRes.pipe(res);
-      });
-      proxyReq.on("error", (err) => {
+        res.end(req.method === "HEAD" ? undefined : response.body);
+      } catch (err) {
         console.error(`Explorer proxy error: ${err.message}`);
         res.writeHead(502, { "Content-Type": "application/json" });
         res.end(JSON.stringify({ error: `Proxy error: ${err.message}` }));
+      }
+    })();
+
+    return true;
+  }
+
+  return { handleRequest };
+}
+
+// Process-wide proxy behind handleExplorerProxy, so every caller shares one
+// cache and one set of buckets. Created on first use, after .env is loaded.
+let defaultExplorerProxy = null;
+
+// Returns true if the request was handled (pathname starts with /explorer-api/).
+// opts: { upstream, upstreamBase, mockApi }.
+function handleExplorerProxy(req, res, pathname, opts) {
+  if (!defaultExplorerProxy) defaultExplorerProxy = createExplorerProxy();
+  return defaultExplorerProxy.handleRequest(req, res, pathname, opts);
+}
+
+// ── Mock transaction API ─────────────────────────────────────────────────────
+
+// What /__mock/capabilities reports. Mock mode has no confirm screen, so
+// confirm titles are accepted but never shown.
+const MOCK_CAPABILITIES = {
+  version: "mock",
+  methods: ["getNodeAddress", "sendTransaction", "sendTransactions", "signMessage"],
+  features: { confirmTitle: false },
+};
+
+// Balance and activity of `account` over the visible mock transactions:
+// everything received minus everything sent (self-sends cancel out).
+// Orphaned txs don't count.
+function mockAccountInfo(transactions, account) {
+  let balance = 0;
+  let txCount = 0;
+  let lastActivityMs = null;
+  const seen = new Set(); // a duplicate-delivery fault lists a tx twice
+  for (const tx of transactions) {
+    const incoming = tx.destination_pubkey === account;
+    const outgoing = tx.from_pubkey === account;
+    if ((!incoming && !outgoing) || seen.has(tx.id) || tx.status === "orphaned") continue;
+    seen.add(tx.id);
+    const amount = Number(tx.amount) || 0;
+    if (incoming) balance += amount;
+    if (outgoing) balance -= amount;
+    txCount++;
+    const ts = typeof tx.timestamp_ms === "number" ? tx.timestamp_ms : Date.parse(tx.created_at);
+    if (!Number.isNaN(ts) && (lastActivityMs == null || ts > lastActivityMs)) lastActivityMs = ts;
+  }
+  return { account, balance, tx_count: txCount, last_activity_ms: lastActivityMs };
+}
+
+// Opt-in balance tracking for the mock API. Balances are derived rather than
+// stored: faucet grants + everything received − everything sent, over the
+// visible transactions, minus sends still waiting out their delay (funds
+// leave the sender at submit, reach the recipient when the tx lands). Txs
+// pushed straight into the store, like mock payouts, count too; orphaned
+// ones (see createMockChain) don't. A pubkey is granted `faucet` the first
+// time it sends or is looked up.
+const DEFAULT_MOCK_FAUCET = 1000;
+
+function createMockLedger(transactions, opts) {
+  const faucet = opts && Number.isFinite(opts.faucet) ? opts.faucet : DEFAULT_MOCK_FAUCET;
+  const grants = new Map();
+  const pending = new Map(); // tx id → tx, until it lands in `transactions`
+
+  function touch(pubkey) {
+    if (!grants.has(pubkey)) grants.set(pubkey, faucet);
+  }
+
+  function balanceOf(pubkey) {
+    touch(pubkey);
+    let balance = grants.get(pubkey);
+    const seen = new Set(); // a duplicate-delivery fault lists a tx twice
+    for (const tx of transactions) {
+      if (seen.has(tx.id) || tx.status === "orphaned") continue;
+      seen.add(tx.id);
+      if (tx.destination_pubkey === pubkey) balance += Number(tx.amount) || 0;
+      if (tx.from_pubkey === pubkey) balance -= Number(tx.amount) || 0;
+    }
+    for (const tx of pending.values()) {
+      if (tx.from_pubkey === pubkey) balance -= Number(tx.amount) || 0;
+    }
+    return balance;
+  }
+
+  // Returns an error string when `tx` would overdraw its sender.
+  function reserve(tx) {
+    const amount = Number(tx.amount);
+    if (!Number.isFinite(amount) || amount < 0) return "amount must be a non-negative number";
+    const balance = balanceOf(tx.from_pubkey);
+    if (amount > balance) return `insufficient funds: balance ${balance}, amount ${amount}`;
+    pending.set(tx.id, tx);
+    return null;
+  }
+
+  function settle(tx) {
+    pending.delete(tx.id);
+  }
+
+  function grant(pubkey, amount) {
+    touch(pubkey);
+    grants.set(pubkey, grants.get(pubkey) + amount);
+    return balanceOf(pubkey);
+  }
+
+  function pendingOf(pubkey) {
+    let total = 0;
+    for (const tx of pending.values()) {
+      if (tx.from_pubkey === pubkey) total += Number(tx.amount) || 0;
+    }
+    return total;
+  }
+
+  function reset() {
+    grants.clear();
+    pending.clear();
+  }
+
+  return { faucet, balanceOf, pendingOf, reserve, settle, grant, reset };
+}
+
+// Fault injection, to reproduce the flakiness dapps meet in production.
+// Rates are probabilities in [0, 1], rolled per send (per request for
+// `error`):
+//   drop      — answer { queued: true } but never land the tx
+//   reject    — answer { queued: false, error: "mock fault: …" }
+//   duplicate — land the tx, then land it again (same id) a moment later
+//   reorder   — hold the tx back an extra 1–3× its delay, so later sends
+//               become visible first
+//   error     — fail /__mock/getTransactions with a 503
+// `jitter` adds random milliseconds to every send's delay, drawn from
+// `jitterDist`: "uniform" (0…jitter) or "exponential" (mean jitter, with a
+// long tail).
+const MOCK_FAULT_RATES = ["drop", "reject", "duplicate", "reorder", "error"];
+const MOCK_FAULT_DEFAULTS = {
+  drop: 0, reject: 0, duplicate: 0, reorder: 0, error: 0, jitter: 0, jitterDist: "uniform",
+};
+
+// Merges `patch` over `base`. Throws on unknown keys and out-of-range
+// values, so a typo fails loudly instead of silently injecting nothing.
+function normalizeMockFaults(patch, base) {
+  const out = { ...(base || MOCK_FAULT_DEFAULTS) };
+  for (const [key, raw] of Object.entries(patch || {})) {
+    const n = Number(raw);
+    if (MOCK_FAULT_RATES.includes(key)) {
+      if (!(n >= 0 && n <= 1)) throw new Error(`fault ${key} must be a rate between 0 and 1`);
+      out[key] = n;
+    } else if (key === "jitter") {
+      if (!(n >= 0)) throw new Error("fault jitter must be a non-negative number of ms");
+      out.jitter = n;
+    } else if (key === "jitterDist") {
+      if (raw !== "uniform" && raw !== "exponential") throw new Error('fault jitterDist must be "uniform" or "exponential"');
+      out.jitterDist = raw;
+    } else {
+      throw new Error(`unknown fault "${key}"`);
+    }
+  }
+  return out;
+}
+
+// "drop=0.1,jitter=3000" → { drop: "0.1", jitter: "3000" }, for the
+// --faults and --mock-blocks flags.
+function parseFlagSpec(spec) {
+  const patch = {};
+  for (const part of String(spec || "").split(",")) {
+    if (!part.trim()) continue;
+    const [key, value] = part.split("=").map((v) => v.trim());
+    patch[key] = value;
+  }
+  return patch;
+}
+
+function parseMockFaults(spec) {
+  return normalizeMockFaults(parseFlagSpec(spec));
+}
+
+function describeMockFaults(faults) {
+  const active = Object.entries(faults)
+    .filter(([key, v]) => key !== "jitterDist" && v > 0)
+    .map(([key, v]) => (key === "jitter" ? `jitter=${v}ms(${faults.jitterDist})` : `${key}=${v}`));
+  return active.length ? active.join(" ") : "none";
+}
+
+// Opt-in simulated block production (--mock-blocks). Every slotMs a block is
+// cut: sends whose delay has elapsed leave the mempool and are listed with
+// the explorer's fields — tx_id, source, destination, block_height,
+// block_hash, timestamp_ms (the block's), tx_type — and status "pending".
+// Once the block is confirmDepth deep (the block itself counting as 1) they
+// turn "confirmed". With probability orphanRate a block is orphaned
+// instead: its txs turn "orphaned", drop out of balances and, as on the live
+// network, are not retried.
+const DEFAULT_MOCK_BLOCKS = { slotMs: 2000, confirmDepth: 2, orphanRate: 0 };
+
+// `slot`, `depth`, `orphan` are the --mock-blocks spellings.
+function normalizeMockBlocks(patch) {
+  const out = { ...DEFAULT_MOCK_BLOCKS };
+  const keys = { slot: "slotMs", depth: "confirmDepth", orphan: "orphanRate" };
+  for (const [rawKey, raw] of Object.entries(patch || {})) {
+    const key = keys[rawKey] || rawKey;
+    const n = Number(raw);
+    if (key === "slotMs" && n >= 100) out.slotMs = n;
+    else if (key === "confirmDepth" && Number.isInteger(n) && n >= 1) out.confirmDepth = n;
+    else if (key === "orphanRate" && n >= 0 && n <= 1) out.orphanRate = n;
+    else throw new Error(`bad mock-blocks setting ${rawKey}=${raw} (slot ≥ 100 ms, depth ≥ 1, orphan in [0, 1])`);
+  }
+  return out;
+}
+
+function createMockChain(transactions, opts) {
+  const { slotMs, confirmDepth, orphanRate } = normalizeMockBlocks(opts && opts.settings);
+  const onInclude = (opts && opts.onInclude) || (() => {});
+  const mempool = [];
+  const blocks = []; // newest last; unsettled ones plus a short settled tail
+  const genesisMs = Date.now();
+  const GENESIS_HASH = "0".repeat(64);
+  let height = 0;
+  let prevHash = GENESIS_HASH;
+  for (const tx of transactions) {
+    if (typeof tx.block_height === "number" && tx.block_height > height) height = tx.block_height;
+  }
+
+  function produceBlock() {
+    height++;
+    const timestamp_ms = Date.now();
+    const hash = crypto.createHash("sha256").update(`${prevHash}:${height}:${timestamp_ms}`).digest("hex");
+    prevHash = hash;
+    const txs = mempool.splice(0);
+    for (const tx of txs) {
+      Object.assign(tx, {
+        tx_id: tx.id,
+        source: tx.from_pubkey,
+        destination: tx.destination_pubkey,
+        block_height: height,
+        block_hash: hash,
+        timestamp_ms,
+        status: "pending",
+        tx_type: "transfer",
       });
-      if (bodyBuf) proxyReq.write(bodyBuf);
-      proxyReq.end();
-    } catch (err) {
-      res.writeHead(502, { "Content-Type": "application/json" });
-      res.end(JSON.stringify({ error: `Proxy error: ${err.message}` }));
+      transactions.push(tx);
+      onInclude(tx);
+    }
+    blocks.push({
+      height,
+      hash,
+      timestamp_ms,
+      global_slot: Math.floor((timestamp_ms - genesisMs) / slotMs),
+      tx_count: txs.length,
+      status: "pending",
+      orphan: orphanRate > 0 && Math.random() < orphanRate,
+      txs,
+    });
+
+    for (const block of blocks) {
+      if (block.status !== "pending" || height - block.height + 1 < confirmDepth) continue;
+      block.status = block.orphan ? "orphaned" : "confirmed";
+      for (const tx of block.txs) tx.status = block.status;
+      if (block.orphan && block.txs.length) {
+        console.log(`[mock-chain] block ${block.height} orphaned with ${block.txs.length} tx(s)`);
+      }
+    }
+    while (blocks.length > 100 && blocks[0].status !== "pending") blocks.shift();
+  }
+
+  const timer = setInterval(produceBlock, slotMs);
+  timer.unref();
+
+  function enqueue(tx) {
+    mempool.push(tx);
+  }
+
+  // Newest first, in the explorer's /blocks shape.
+  function recentBlocks(limit) {
+    return blocks.slice(-limit).reverse().map(({ orphan, txs, ...block }) => block);
+  }
+
+  // Back to genesis: the store was cleared, so nothing is above height 0.
+  function reset() {
+    mempool.length = 0;
+    blocks.length = 0;
+    height = 0;
+    prevHash = GENESIS_HASH;
+  }
+
+  return { slotMs, confirmDepth, orphanRate, enqueue, recentBlocks, reset, tipHeight: () => height };
+}
+
+// ── Mock explorer ──
+//
+// The explorer emulation createMockApi serves in --local-dev: a single chain
+// whose blocks and txs come from the mock store. Txs are reshaped the way
+// the explorer returns them (tx_id, source, destination, block_height, …).
+const MOCK_CHAIN_ID = "mock";
+
+function mockBlockHash(height) {
+  return crypto.createHash("sha256").update(`mock-block:${height}`).digest("hex");
+}
+
+function mockExplorerTx(tx, height) {
+  const createdMs = Date.parse(tx.created_at);
+  return {
+    tx_id: tx.tx_id || tx.id,
+    tx_type: tx.tx_type || "transfer",
+    status: tx.status || "confirmed",
+    source: tx.from_pubkey,
+    destination: tx.destination_pubkey,
+    amount: tx.amount,
+    fee: 0,
+    memo: tx.memo,
+    block_height: height,
+    block_hash: tx.block_hash || mockBlockHash(height),
+    timestamp_ms: typeof tx.timestamp_ms === "number" ? tx.timestamp_ms
+      : Number.isNaN(createdMs) ? null : createdMs,
+  };
+}
+
+// One page of `items` (newest first) in the { items, has_more, next_cursor }
+// shape shared by /__mock/getTransactions and the explorer emulation. The
+// cursor is a base64 0-based index into `items`.
+function mockPage(items, cursor, limit) {
+  let startIdx = 0;
+  if (cursor != null) {
+    startIdx = parseInt(Buffer.from(String(cursor), "base64").toString("utf8"), 10);
+    if (!Number.isFinite(startIdx) || startIdx < 0) startIdx = 0;
+  }
+  const nextIdx = startIdx + limit;
+  const hasMore = nextIdx < items.length;
+  return {
+    items: items.slice(startIdx, nextIdx),
+    has_more: hasMore,
+    next_cursor: hasMore ? Buffer.from(String(nextIdx)).toString("base64") : null,
+  };
+}
+
+// Reads the mock-API CLI flags into createMockApi options, so every server
+// spreads the same set: createMockApi({ localDev, ...mockApiOptions(argv) }).
+//   --mock-ledger / --mock-faucet <amount> → ledger (faucet implies ledger)
+//   --mock-store <file>                    → storePath
+//   --seed <fixture.json|fixture.js>       → seed
+//   --faults drop=0.1,jitter=3000,…        → faults (see MOCK_FAULT_RATES)
+//   --mock-blocks [slot=2000,depth=2,orphan=0.05] → blocks (see createMockChain)
+function mockApiOptions(argv) {
+  const valueOf = (flag) => {
+    const i = argv.indexOf(flag);
+    return i >= 0 ? argv[i + 1] : undefined;
+  };
+  let ledger = null;
+  if (argv.includes("--mock-faucet")) {
+    const faucet = Number(valueOf("--mock-faucet"));
+    ledger = { faucet: Number.isFinite(faucet) && faucet >= 0 ? faucet : DEFAULT_MOCK_FAUCET };
+  } else if (argv.includes("--mock-ledger")) {
+    ledger = {};
+  }
+  const store = valueOf("--mock-store");
+  const seed = valueOf("--seed");
+  const faults = valueOf("--faults");
+  let blocks = null;
+  if (argv.includes("--mock-blocks")) {
+    const spec = valueOf("--mock-blocks");
+    blocks = normalizeMockBlocks(spec && !spec.startsWith("-") ? parseFlagSpec(spec) : {});
+  }
+  return {
+    ledger,
+    storePath: store ? path.resolve(store) : null,
+    seed: seed ? path.resolve(seed) : null,
+    faults: faults ? parseMockFaults(faults) : null,
+    blocks,
+  };
+}
+
+// Append-only NDJSON persistence for the mock transaction store. Lines are
+// the tx objects exactly as stored, so created_at survives a restart.
+// Malformed lines (a write cut short by a crash) are skipped.
+function loadMockStore(storePath) {
+  if (!fs.existsSync(storePath)) return [];
+  const txs = [];
+  for (const line of fs.readFileSync(storePath, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try { txs.push(JSON.parse(line)); }
+    catch (_) { console.warn(`[mock-store] skipping malformed line in ${storePath}`); }
+  }
+  return txs;
+}
+
+function appendMockStore(storePath, txs) {
+  if (!txs.length) return;
+  fs.appendFileSync(storePath, txs.map((tx) => JSON.stringify(tx) + "\n").join(""));
+}
+
+// Seed fixtures (--seed <file>): a declarative tx history loaded into the mock
+// store at startup. A fixture is JSON, or a JS module exporting the object or
+// a function ({ now, pubkeys }) => object:
+//
+//   {
+//     "pubkeys": { "alice": "ut1_alice…" },
+//     "transactions": [
+//       { "from": "alice", "to": "om_app", "amount": 1, "at": "now-5m",
+//         "memo": { "app": "opinion-market", "type": "join" } }
+//     ]
+//   }
+//
+// `from` / `to` take an alias from `pubkeys` (merged over the server's own
+// opts.seedPubkeys) or a literal pubkey. `at` is "now", "now-90s", "now-5m",
+// "now+2h", "now-1d" or an ISO date; it defaults to "now". An object memo is
+// JSON-encoded. Inside memos, "{{alice}}" expands to a pubkey and
+// "{{now-5m}}" to epoch milliseconds (a number when it is the whole string).
+// Txs without an `id` get `seed:<fixture>:<index>`, so reseeding a
+// --mock-store skips what is already there.
+const SEED_TIME_RE = /^now\s*(?:([+-])\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h|d))?$/;
+const SEED_UNIT_MS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+function seedTime(expr, now) {
+  const m = SEED_TIME_RE.exec(String(expr).trim());
+  if (m) return m[1] ? now + (m[1] === "-" ? -1 : 1) * Number(m[2]) * SEED_UNIT_MS[m[3]] : now;
+  const t = Date.parse(expr);
+  if (Number.isNaN(t)) throw new Error(`bad time "${expr}" (want now±N{s,m,h,d} or an ISO date)`);
+  return t;
+}
+
+function loadSeedFixture(seed, opts) {
+  const now = (opts && opts.now) || Date.now();
+  const basePubkeys = (opts && opts.pubkeys) || {};
+  let fixture = seed;
+  let name = "fixture";
+  if (typeof seed === "string") {
+    name = path.basename(seed).replace(/\.(json|c?js)$/, "");
+    fixture = /\.c?js$/.test(seed)
+      ? require(path.resolve(seed))
+      : JSON.parse(fs.readFileSync(seed, "utf8"));
+  }
+  if (typeof fixture === "function") fixture = fixture({ now, pubkeys: basePubkeys });
+  if (!fixture || !Array.isArray(fixture.transactions)) {
+    throw new Error(`seed ${name}: expected { transactions: [...] }`);
+  }
+  const pubkeys = { ...basePubkeys, ...(fixture.pubkeys || {}) };
+
+  const expand = (expr) => {
+    if (Object.prototype.hasOwnProperty.call(pubkeys, expr)) return pubkeys[expr];
+    if (SEED_TIME_RE.test(expr)) return seedTime(expr, now);
+    throw new Error(`unknown placeholder {{${expr}}}`);
+  };
+  const template = (value) => {
+    if (typeof value === "string") {
+      const whole = /^\{\{\s*([^{}]+?)\s*\}\}$/.exec(value);
+      if (whole) return expand(whole[1]);
+      return value.replace(/\{\{\s*([^{}]+?)\s*\}\}/g, (_, expr) => String(expand(expr)));
+    }
+    if (Array.isArray(value)) return value.map(template);
+    if (value && typeof value === "object") {
+      const out = {};
+      for (const [k, v] of Object.entries(value)) out[k] = template(v);
+      return out;
+    }
+    return value;
+  };
+
+  return fixture.transactions.map((entry, i) => {
+    try {
+      const resolve = (v) => (Object.prototype.hasOwnProperty.call(pubkeys, v) ? pubkeys[v] : v);
+      const from_pubkey = resolve(entry.from ?? entry.from_pubkey);
+      const destination_pubkey = resolve(entry.to ?? entry.destination_pubkey);
+      if (!from_pubkey || !destination_pubkey) throw new Error("from and to required");
+      const memo = entry.memo == null ? undefined : template(entry.memo);
+      return {
+        id: entry.id ? String(entry.id) : `seed:${name}:${i}`,
+        from_pubkey: String(from_pubkey),
+        destination_pubkey: String(destination_pubkey),
+        amount: entry.amount == null ? 0 : entry.amount,
+        memo: memo == null || typeof memo === "string" ? memo : JSON.stringify(memo),
+        created_at: new Date(seedTime(entry.at ?? "now", now)).toISOString(),
+      };
+    } catch (e) {
+      throw new Error(`seed ${name}: transactions[${i}]: ${e.message}`);
+    }
+  });
+}
+
+// Store array → Set of callbacks run after an admin delete or reset rewrote
+// it. createAppStateCache subscribes for the array it drains, so every cache
+// attached to a mock store drops its derived state and replays what's left.
+const mockStoreResetListeners = new WeakMap();
+
+// Returns { transactions, ledger, handleRequest, injectTransaction,
+// deleteTransaction, resetTransactions, getFaults, setFaults,
+// handleExplorerRequest }. `ledger` is null unless
+// opts.ledger (true or { faucet }) turned balance tracking on. With
+// opts.storePath, transactions are reloaded from that NDJSON file before
+// any cache starts draining them, and every new one — including txs pushed
+// straight into `transactions` — is appended within a second.
+// opts.seed (a fixture path or object, or an array of them; see
+// loadSeedFixture) is appended after that, with opts.seedPubkeys as extra
+// aliases. opts.faults sets the initial fault injection (see
+// MOCK_FAULT_RATES); GET/POST /__mock/faults reads and changes it at runtime.
+// opts.blocks (true or { slotMs, confirmDepth, orphanRate }) routes landed
+// sends through a simulated chain (see createMockChain) instead of listing
+// them directly, and serves GET /__mock/blocks.
+// handleRequest(req, res, pathname) returns true if handled; pass the API as
+// handleExplorerProxy's opts.mockApi to serve /explorer-api/* from it too.
+
+function createMockApi(opts) {
+  const localDev = (opts && opts.localDev) || false;
+  const delayMs = (opts && opts.delayMs) || 5000;
+  const delayOverrides = (opts && opts.delayOverrides) || {};
+  const transactions = [];
+  const ledger = opts && opts.ledger
+    ? createMockLedger(transactions, opts.ledger === true ? {} : opts.ledger)
+    : null;
+  const storePath = (opts && opts.storePath) || null;
+  const persistent = !!(storePath && localDev);
+  const resetListeners = new Set();
+  mockStoreResetListeners.set(transactions, resetListeners);
+  const pendingTimers = new Set();
+  const chain = localDev && opts && opts.blocks
+    ? createMockChain(transactions, {
+      settings: opts.blocks === true ? {} : opts.blocks,
+      onInclude(tx) {
+        if (ledger) ledger.settle(tx);
+        flushStore();
+      },
+    })
+    : null;
+  if (chain) {
+    console.log(`[mock-chain] block every ${chain.slotMs}ms, confirmed at depth ${chain.confirmDepth}, orphan rate ${chain.orphanRate}`);
+  }
+  let faults = normalizeMockFaults(opts && opts.faults);
+  if (localDev && describeMockFaults(faults) !== "none") {
+    console.log(`[mock-faults] ${describeMockFaults(faults)}`);
+  }
+
+  // Index into `transactions` up to which the store file is current.
+  let persisted = 0;
+
+  function flushStore() {
+    if (!persistent) return;
+    appendMockStore(storePath, transactions.slice(persisted));
+    persisted = transactions.length;
+  }
+
+  // Deletes and resets leave the append-only file stale; write it afresh.
+  function rewriteStore() {
+    if (!persistent) return;
+    fs.writeFileSync(storePath, transactions.map((tx) => JSON.stringify(tx) + "\n").join(""));
+    persisted = transactions.length;
+  }
+
+  if (persistent) {
+    for (const tx of loadMockStore(storePath)) {
+      // Persisted while its block was still settling; by the next boot it
+      // long since has.
+      if (tx.status === "pending") tx.status = "confirmed";
+      transactions.push(tx);
+    }
+    console.log(`[mock-store] loaded ${transactions.length} transaction(s) from ${storePath}`);
+    persisted = transactions.length;
+    // The timer catches txs other code pushes directly (mock payouts, seeds).
+    setInterval(flushStore, 1000).unref();
+    process.on("exit", flushStore);
+  }
+
+  // Seeded before the function returns, so before any cache starts draining.
+  // A bad fixture is fatal: silently starting with the wrong history would
+  // defeat the point of a reproducible scenario.
+  for (const seed of [].concat((localDev && opts && opts.seed) || [])) {
+    const seeded = loadSeedFixture(seed, { pubkeys: opts.seedPubkeys });
+    const known = new Set(transactions.map((tx) => tx.id));
+    const fresh = seeded.filter((tx) => !known.has(tx.id));
+    for (const tx of fresh) transactions.push(tx);
+    flushStore();
+    const label = typeof seed === "string" ? seed : "fixture";
+    console.log(`[mock-seed] ${fresh.length} of ${seeded.length} transaction(s) from ${label}` +
+      (fresh.length < seeded.length ? " (rest already in the store)" : ""));
+  }
+
+  // Validates one { destination_pubkey, amount, memo } item and schedules it
+  // to appear in `transactions` after the configured delay. Returns the
+  // same { queued, tx } / { queued:false, error } shape the native bridge
+  // resolves with.
+  function queueTransaction(from_pubkey, item) {
+    const destination_pubkey = String((item && item.destination_pubkey) || "").trim();
+    if (!destination_pubkey) return { queued: false, error: "destination_pubkey required" };
+    const amount = item.amount;
+    const memo = item.memo == null ? undefined : String(item.memo);
+    console.log(`[tx] received from=${from_pubkey.slice(0, 16)}… dest=${destination_pubkey.slice(0, 16)}…`);
+    const tx = { id: crypto.randomUUID(), from_pubkey, destination_pubkey, amount, memo, created_at: new Date().toISOString() };
+    if (roll("reject")) {
+      console.log(`[mock-faults] rejected ${tx.id}`);
+      return { queued: false, error: "mock fault: send rejected" };
+    }
+    const refused = ledger && ledger.reserve(tx);
+    if (refused) {
+      console.log(`[tx] refused from=${from_pubkey.slice(0, 16)}…: ${refused}`);
+      return { queued: false, error: refused };
+    }
+    let txDelay = (destination_pubkey in delayOverrides) ? delayOverrides[destination_pubkey] : delayMs;
+    txDelay += jitterMs();
+    if (roll("reorder")) txDelay += Math.max(txDelay, 1000) * (1 + 2 * Math.random());
+    const dropped = roll("drop");
+    const duplicated = !dropped && roll("duplicate");
+    later(() => {
+      if (dropped) {
+        if (ledger) ledger.settle(tx);
+        console.log(`[mock-faults] dropped ${tx.id}`);
+        return;
+      }
+      if (chain) {
+        chain.enqueue(tx); // listed (and settled) when the next block is cut
+      } else {
+        transactions.push(tx);
+        if (ledger) ledger.settle(tx);
+        flushStore();
+      }
+      if (duplicated) {
+        later(() => {
+          if (!transactions.includes(tx)) return; // its block never came
+          console.log(`[mock-faults] delivered ${tx.id} twice`);
+          transactions.push(tx);
+          flushStore();
+        }, (chain ? chain.slotMs : 0) + 500 + Math.random() * 1500);
+      }
+    }, txDelay);
+    return { queued: true, tx };
+  }
+
+  // ── Fault injection ──
+
+  function roll(rate) {
+    return faults[rate] > 0 && Math.random() < faults[rate];
+  }
+
+  function jitterMs() {
+    if (!faults.jitter) return 0;
+    return faults.jitterDist === "exponential"
+      ? -Math.log(1 - Math.random()) * faults.jitter
+      : Math.random() * faults.jitter;
+  }
+
+  // setTimeout that a store reset cancels.
+  function later(fn, ms) {
+    const timer = setTimeout(() => {
+      pendingTimers.delete(timer);
+      fn();
+    }, ms);
+    pendingTimers.add(timer);
+  }
+
+  function getFaults() {
+    return { ...faults };
+  }
+
+  function setFaults(patch) {
+    faults = patch && patch.reset ? normalizeMockFaults() : normalizeMockFaults(patch, faults);
+    console.log(`[mock-faults] ${describeMockFaults(faults)}`);
+    return getFaults();
+  }
+
+  // ── Admin operations (also served under /__mock/admin/*) ──
+  //
+  // Injected txs land immediately, skip the ledger and may claim any sender;
+  // created_at defaults to now. Deleting or resetting rewrites the store and
+  // tells every attached createAppStateCache to reset and replay.
+
+  function injectTransaction(fields) {
+    const from_pubkey = String((fields && fields.from_pubkey) || "").trim();
+    const destination_pubkey = String((fields && fields.destination_pubkey) || "").trim();
+    if (!from_pubkey || !destination_pubkey) throw new Error("from_pubkey and destination_pubkey required");
+    const createdMs = fields.created_at != null ? Date.parse(fields.created_at) : Date.now();
+    if (Number.isNaN(createdMs)) throw new Error("created_at must be a date string");
+    const tx = {
+      id: fields.id ? String(fields.id) : crypto.randomUUID(),
+      from_pubkey,
+      destination_pubkey,
+      amount: fields.amount == null ? 0 : fields.amount,
+      memo: fields.memo == null ? undefined : String(fields.memo),
+      created_at: new Date(createdMs).toISOString(),
+    };
+    transactions.push(tx);
+    flushStore();
+    console.log(`[mock-admin] injected ${tx.id} from=${from_pubkey.slice(0, 16)}…`);
+    return tx;
+  }
+
+  function notifyReset(reason) {
+    for (const listener of resetListeners) {
+      try { listener(reason); }
+      catch (e) { console.warn(`[mock-admin] reset listener failed: ${e.message}`); }
+    }
+  }
+
+  function deleteTransaction(id) {
+    const idx = transactions.findIndex((tx) => tx.id === id);
+    if (idx < 0) return false;
+    transactions.splice(idx, 1);
+    rewriteStore();
+    console.log(`[mock-admin] deleted ${id}`);
+    notifyReset("delete");
+    return true;
+  }
+
+  function resetTransactions() {
+    for (const timer of pendingTimers) clearTimeout(timer);
+    pendingTimers.clear();
+    transactions.length = 0;
+    if (ledger) ledger.reset();
+    if (chain) chain.reset();
+    rewriteStore();
+    console.log("[mock-admin] store reset");
+    notifyReset("reset");
+  }
+
+  function sendJson(res, code, body) {
+    res.writeHead(code, { "Content-Type": "application/json", "Cache-Control": "no-store" });
+    res.end(JSON.stringify(body));
+  }
+
+  // ── Explorer emulation (handleExplorerProxy's /explorer-api/* in --local-dev) ──
+  //
+  // Without a simulated chain every tx is its own block, numbered in arrival
+  // order. With one, txs listed outside a block (seeds, injections) share the
+  // height of the last block before them.
+
+  function explorerTransactions() {
+    const out = [];
+    const seen = new Set();
+    let height = 0;
+    for (const tx of transactions) {
+      if (seen.has(tx.id)) continue;
+      seen.add(tx.id);
+      if (typeof tx.block_height === "number") height = Math.max(height, tx.block_height);
+      else if (!chain) height++;
+      out.push(mockExplorerTx(tx, typeof tx.block_height === "number" ? tx.block_height : height));
+    }
+    return out.reverse();
+  }
+
+  // Newest first. Without a chain, blocks are synthesized from the txs.
+  function explorerBlocks(limit) {
+    if (chain) return chain.recentBlocks(limit);
+    const blocks = new Map();
+    for (const tx of explorerTransactions()) {
+      const block = blocks.get(tx.block_height);
+      if (block) block.tx_count++;
+      else if (blocks.size < limit) {
+        blocks.set(tx.block_height, {
+          height: tx.block_height,
+          hash: tx.block_hash,
+          timestamp_ms: tx.timestamp_ms,
+          global_slot: tx.block_height,
+          tx_count: 1,
+          status: tx.status,
+        });
+      }
+    }
+    return Array.from(blocks.values());
+  }
+
+  function explorerTip() {
+    const [tip] = explorerBlocks(1);
+    const height = chain ? chain.tipHeight() : tip ? tip.height : 0;
+    if (tip && tip.height === height) return tip;
+    return { height, hash: mockBlockHash(height), timestamp_ms: Date.now(), global_slot: height, tx_count: 0, status: "confirmed" };
+  }
+
+  // POST /{chain}/transactions body: { account | sender | recipient, limit,
+  // cursor, from_height, to_height } (heights inclusive).
+  function queryExplorerTransactions(body) {
+    const { account, sender, recipient } = body;
+    const from = body.from_height == null ? null : Number(body.from_height);
+    const to = body.to_height == null ? null : Number(body.to_height);
+    const limit = Number.isInteger(body.limit) && body.limit > 0 ? Math.min(body.limit, 200) : 50;
+    const items = explorerTransactions().filter((tx) =>
+      (!account || tx.source === account || tx.destination === account) &&
+      (!sender || tx.source === sender) &&
+      (!recipient || tx.destination === recipient) &&
+      (from == null || tx.block_height >= from) &&
+      (to == null || tx.block_height <= to));
+    return mockPage(items, body.cursor, limit);
+  }
+
+  // `subpath` is the part after /explorer-api/. Returns false outside
+  // --local-dev so the caller proxies upstream as usual.
+  function handleExplorerRequest(req, res, subpath) {
+    if (!localDev) return false;
+    const url = new URL(req.url, "http://localhost");
+    let parts;
+    try { parts = subpath.split("/").map((p) => decodeURIComponent(p)); }
+    catch (e) { sendJson(res, 400, { error: e.message }); return true; }
+    if (subpath === "active_chain") {
+      sendJson(res, 200, { chain_id: MOCK_CHAIN_ID });
+      return true;
+    }
+    if (parts[0] !== MOCK_CHAIN_ID) {
+      sendJson(res, 404, { error: `unknown chain ${parts[0]} (the mock explorer serves ${MOCK_CHAIN_ID})` });
+      return true;
+    }
+    const rest = parts.slice(1);
+    if (rest[0] === "transactions" && rest.length === 1 && req.method === "POST") {
+      readJson(req)
+        .then((body) => sendJson(res, 200, queryExplorerTransactions(body)))
+        .catch((e) => sendJson(res, 400, { error: e.message }));
+      return true;
+    }
+    if (rest[0] === "blocks" && rest.length === 1) {
+      const limitParam = Number(url.searchParams.get("limit"));
+      const limit = Number.isInteger(limitParam) && limitParam > 0 ? Math.min(limitParam, 100) : 20;
+      sendJson(res, 200, { items: explorerBlocks(limit) });
+      return true;
+    }
+    if (rest[0] === "blocks" && rest[1] === "best_tip" && rest.length === 2) {
+      sendJson(res, 200, explorerTip());
+      return true;
+    }
+    if (rest[0] === "blocks" && rest[1] === "best_tip" && rest[3] === "balance" && rest.length === 4) {
+      const account = rest[2];
+      const balance = ledger ? ledger.balanceOf(account) : mockAccountInfo(transactions, account).balance;
+      sendJson(res, 200, { account, balance, block_height: explorerTip().height });
+      return true;
+    }
+    if (rest[0] === "txs" && rest.length === 2) {
+      const tx = explorerTransactions().find((t) => t.tx_id === rest[1]);
+      const includeOrphaned = url.searchParams.get("include_orphaned") === "1";
+      if (!tx || (tx.status === "orphaned" && !includeOrphaned)) {
+        sendJson(res, 404, { error: `transaction ${rest[1]} not found` });
+      } else {
+        sendJson(res, 200, tx);
+      }
+      return true;
+    }
+    sendJson(res, 404, { error: `the mock explorer does not serve /${subpath}` });
+    return true;
+  }
+
+  function handleAdminRequest(req, res, pathname) {
+    if (!localDev) {
+      res.writeHead(404); res.end("Not found (start with --local-dev)");
+      return true;
+    }
+    if (pathname === "/__mock/admin" || pathname === "/__mock/admin/") {
+      const htmlPath = resolvePath(
+        path.join(__dirname, "..", "usernode-mock-admin.html"),
+        path.join(__dirname, "..", "..", "usernode-mock-admin.html"),
+      );
+      try {
+        const buf = fs.readFileSync(htmlPath);
+        res.writeHead(200, { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "no-store" });
+        res.end(buf);
+      } catch (e) {
+        res.writeHead(500, { "Content-Type": "text/plain" });
+        res.end("Failed to read usernode-mock-admin.html: " + e.message);
+      }
+      return true;
+    }
+    if (pathname === "/__mock/admin/transactions" && req.method === "GET") {
+      sendJson(res, 200, { items: transactions, count: transactions.length, pending: pendingTimers.size });
+      return true;
+    }
+    const action = {
+      "/__mock/admin/inject": (body) => sendJson(res, 200, { tx: injectTransaction(body) }),
+      "/__mock/admin/delete": (body) => {
+        if (deleteTransaction(String(body.id || ""))) sendJson(res, 200, { deleted: body.id });
+        else sendJson(res, 404, { error: `no mock transaction with id ${body.id}` });
+      },
+      "/__mock/admin/reset": () => {
+        resetTransactions();
+        sendJson(res, 200, { reset: true });
+      },
+    }[pathname];
+    if (!action || req.method !== "POST") {
+      res.writeHead(404); res.end("Not found");
+      return true;
+    }
+    readJson(req).then(action).catch((e) => sendJson(res, 400, { error: e.message }));
+    return true;
+  }
+
+  function handleRequest(req, res, pathname) {
+    if (pathname === "/__mock/admin" || pathname.startsWith("/__mock/admin/")) {
+      return handleAdminRequest(req, res, pathname);
+    }
+
+    if (pathname === "/__mock/enabled") {
+      if (!localDev) {
+        res.writeHead(404); res.end("Not found");
+        return true;
+      }
+      res.writeHead(200, { "Content-Type": "application/json", "Cache-Control": "no-store" });
+      res.end(JSON.stringify({ enabled: true }));
+      return true;
+    }
+
+    // Answers the bridge's usernode.getCapabilities() in mock mode, in the
+    // same { version, methods, features } shape the native host uses.
+    if (pathname === "/__mock/capabilities") {
+      if (!localDev) {
+        res.writeHead(404); res.end("Not found");
+        return true;
+      }
+      res.writeHead(200, { "Content-Type": "application/json", "Cache-Control": "no-store" });
+      res.end(JSON.stringify(MOCK_CAPABILITIES));
+      return true;
+    }
+
+    if (pathname === "/__mock/sendTransaction" && req.method === "POST") {
+      if (!localDev) {
+        res.writeHead(404); res.end("Not found (start with --local-dev)");
+        return true;
+      }
+      readJson(req).then((body) => {
+        const from_pubkey = String(body.from_pubkey || "").trim();
+        const destination_pubkey = String(body.destination_pubkey || "").trim();
+        if (!from_pubkey || !destination_pubkey) {
+          res.writeHead(400, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ error: "from_pubkey and destination_pubkey required" }));
+          return;
+        }
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(queueTransaction(from_pubkey, body)));
+      }).catch((e) => {
+        res.writeHead(400, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: e.message }));
+      });
+      return true;
+    }
+
+    // Batch counterpart of /__mock/sendTransaction (backs the bridge's
+    // sendTransactions). Items are validated independently, so one bad
+    // entry yields a per-item error instead of failing the whole batch.
+    if (pathname === "/__mock/sendTransactions" && req.method === "POST") {
+      if (!localDev) {
+        res.writeHead(404); res.end("Not found (start with --local-dev)");
+        return true;
+      }
+      readJson(req).then((body) => {
+        const from_pubkey = String(body.from_pubkey || "").trim();
+        const items = Array.isArray(body.transactions) ? body.transactions : null;
+        if (!from_pubkey || !items || !items.length) {
+          res.writeHead(400, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ error: "from_pubkey and a non-empty transactions array required" }));
+          return;
+        }
+        const results = items.map((item) => queueTransaction(from_pubkey, item));
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ results }));
+      }).catch((e) => {
+        res.writeHead(400, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: e.message }));
+      });
+      return true;
+    }
+
+    // GET /__mock/faults → current settings; POST /__mock/faults merges a
+    // partial { drop, reject, duplicate, reorder, error, jitter, jitterDist }
+    // over them, or clears them all with { reset: true }.
+    if (pathname === "/__mock/faults") {
+      if (!localDev) {
+        res.writeHead(404); res.end("Not found (start with --local-dev)");
+        return true;
+      }
+      if (req.method !== "POST") {
+        res.writeHead(200, { "Content-Type": "application/json", "Cache-Control": "no-store" });
+        res.end(JSON.stringify(getFaults()));
+        return true;
+      }
+      readJson(req).then((body) => {
+        const next = setFaults(body);
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(next));
+      }).catch((e) => {
+        res.writeHead(400, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: e.message }));
+      });
+      return true;
+    }
+
+    // Explorer-shaped block list (newest first) for the simulated chain.
+    if (pathname === "/__mock/blocks") {
+      if (!localDev || !chain) {
+        res.writeHead(404); res.end("Not found (start with --local-dev --mock-blocks)");
+        return true;
+      }
+      const limitParam = Number(new URL(req.url, "http://localhost").searchParams.get("limit"));
+      const limit = Number.isInteger(limitParam) && limitParam > 0 ? Math.min(limitParam, 100) : 20;
+      res.writeHead(200, { "Content-Type": "application/json", "Cache-Control": "no-store" });
+      res.end(JSON.stringify({ items: chain.recentBlocks(limit), tip_height: chain.tipHeight() }));
+      return true;
+    }
+
+    // Ledger routes: GET /__mock/balance?account=… and
+    // POST /__mock/faucet { account, amount? } (amount defaults to the faucet).
+    if (pathname === "/__mock/balance" || pathname === "/__mock/faucet") {
+      if (!localDev || !ledger) {
+        res.writeHead(404); res.end("Not found (start with --local-dev --mock-ledger)");
+        return true;
+      }
+      if (pathname === "/__mock/balance") {
+        const account = (new URL(req.url, "http://localhost").searchParams.get("account") || "").trim();
+        if (!account) {
+          res.writeHead(400, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ error: "account query parameter required" }));
+          return true;
+        }
+        res.writeHead(200, { "Content-Type": "application/json", "Cache-Control": "no-store" });
+        res.end(JSON.stringify({ account, balance: ledger.balanceOf(account), pending: ledger.pendingOf(account) }));
+        return true;
+      }
+      if (req.method !== "POST") {
+        res.writeHead(405); res.end("Method Not Allowed");
+        return true;
+      }
+      readJson(req).then((body) => {
+        const account = String(body.account || "").trim();
+        const amount = body.amount == null ? ledger.faucet : Number(body.amount);
+        if (!account || !Number.isFinite(amount) || amount <= 0) {
+          res.writeHead(400, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ error: "account and a positive amount required" }));
+          return;
+        }
+        console.log(`[faucet] ${amount} → ${account.slice(0, 16)}…`);
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ account, granted: amount, balance: ledger.grant(account, amount) }));
+      }).catch((e) => {
+        res.writeHead(400, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: e.message }));
+      });
+      return true;
+    }
+
+    // Backs the bridge's getBalance / getAccountInfo in mock mode.
+    if (pathname === "/__mock/getAccountInfo" && req.method === "POST") {
+      if (!localDev) {
+        res.writeHead(404); res.end("Not found (start with --local-dev)");
+        return true;
+      }
+      readJson(req).then((body) => {
+        const account = String(body.account || "").trim();
+        if (!account) {
+          res.writeHead(400, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ error: "account required" }));
+          return;
+        }
+        const info = mockAccountInfo(transactions, account);
+        if (ledger) info.balance = ledger.balanceOf(account);
+        if (chain) info.block_height = chain.tipHeight();
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(info));
+      }).catch((e) => {
+        res.writeHead(400, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: e.message }));
+      });
+      return true;
+    }
+
+    if (pathname === "/__mock/getTransactions" && req.method === "POST") {
+      if (!localDev) {
+        res.writeHead(404); res.end("Not found (start with --local-dev)");
+        return true;
+      }
+      if (roll("error")) {
+        res.writeHead(503, { "Content-Type": "application/json", "Retry-After": "1" });
+        res.end(JSON.stringify({ error: "mock fault: transient getTransactions failure" }));
+        return true;
+      }
+      readJson(req).then((body) => {
+        const filterOptions = body.filterOptions || {};
+        const owner = String(body.owner_pubkey || filterOptions.account || "").trim();
+        const limit = typeof filterOptions.limit === "number" ? filterOptions.limit : 50;
+        const cursor = filterOptions.cursor || body.cursor || null;
+
+        const filtered = transactions
+          .filter((tx) => !owner || tx.from_pubkey === owner || tx.destination_pubkey === owner);
+
+        // Reverse so newest is first (index 0 = newest).
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(mockPage(filtered.slice().reverse(), cursor, limit)));
+      }).catch((e) => {
+        res.writeHead(400, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: e.message }));
+      });
+      return true;
+    }
+
+    return false;
+  }
+
+  return {
+    transactions,
+    ledger,
+    handleRequest,
+    injectTransaction,
+    deleteTransaction,
+    resetTransactions,
+    getFaults,
+    setFaults,
+    handleExplorerRequest,
+  };
+}
+
+// ── Signed messages ──────────────────────────────────────────────────────────
+//
+// Server-side twin of the bridge's usernode.verifyMessage: checks a base64
+// Ed25519 signature (as returned by window.signMessage) over the UTF-8
+// message, and that the signing key belongs to `pubkey`. Key-backed mock
+// pubkeys ("mockpk_<64 hex>") carry their key, but anyone can mint one, so
+// they only count with opts.localDev. For any other address the
+// key must come from opts.resolvePublicKey(pubkey, claimedKey) → key | null,
+// a server-side lookup or derivation; opts.publicKey (the key the client
+// claims, raw 32 bytes as hex or base64) is only passed to it as
+// `claimedKey` and never trusted on its own. Returns false rather than
+// throwing on malformed input.
+
+const MOCK_KEYED_PUBKEY_RE = /^mockpk_([0-9a-f]{64})$/;
+
+function _publicKeyBytes(publicKey) {
+  if (publicKey == null) return null;
+  if (Buffer.isBuffer(publicKey)) return publicKey.length === 32 ? publicKey : null;
+  const text = String(publicKey);
+  const buf = /^[0-9a-fA-F]{64}$/.test(text) ? Buffer.from(text, "hex") : Buffer.from(text, "base64");
+  return buf.length === 32 ? buf : null;
+}
+
+function _verifyPublicKeyBytes(pubkey, opts) {
+  const claimed = _publicKeyBytes(opts && opts.publicKey);
+  const m = opts && opts.localDev && MOCK_KEYED_PUBKEY_RE.exec(pubkey == null ? "" : String(pubkey));
+  if (m) {
+    const own = Buffer.from(m[1], "hex");
+    return !claimed || claimed.equals(own) ? own : null;
+  }
+  if (!opts || typeof opts.resolvePublicKey !== "function") return null;
+  try {
+    return _publicKeyBytes(opts.resolvePublicKey(String(pubkey), claimed));
+  } catch (_) {
+    return null;
+  }
+}
+
+function verifySignedMessage(pubkey, message, signature, opts) {
+  const keyBytes = _verifyPublicKeyBytes(pubkey, opts);
+  if (!keyBytes || signature == null) return false;
+  // Buffer's base64 decoder also accepts the URL-safe alphabet.
+  const sig = Buffer.from(String(signature), "base64");
+  if (sig.length !== 64) return false;
+  try {
+    const key = crypto.createPublicKey({
+      key: { kty: "OKP", crv: "Ed25519", x: keyBytes.toString("base64url") },
+      format: "jwk",
+    });
+    return crypto.verify(null, Buffer.from(String(message), "utf8"), key, sig);
+  } catch (_) {
+    return false;
+  }
+}
+
+// ── Sign-in sessions ─────────────────────────────────────────────────────────
+//
+// Sign-in-with-Usernode for dapp servers. The bridge's usernode.signIn()
+// runs the round trip:
+//
+//   POST <routePrefix>/challenge  → { nonce, message, expires_at }
+//   (client signs `message` with window.signMessage)
+//   POST <routePrefix>/verify     { pubkey, signature, nonce, public_key? }
+//                                 → { pubkey, expires_at } + session cookie
+//   GET  <routePrefix>/session    → { pubkey | null, expires_at }
+//   POST <routePrefix>/ticket     → { ticket, expires_at } (session required)
+//   POST <routePrefix>/logout     → clears the session
+//
+// Challenges are single-use and expire after challengeTtlMs. The session
+// cookie is HttpOnly + SameSite=Lax (Secure unless opts.secure === false)
+// and maps to a server-side record bound to the verified pubkey. Route
+// handlers then call getPubkey(req) / requirePubkey(req, res) instead of
+// trusting a pubkey the client claims. Sessions live in memory, so a
+// restart signs everyone out.
+//
+// A long-lived connection (a WebSocket) only carries the cookies it was
+// opened with, so one opened before sign-in never sees the session. For
+// those, the page fetches a ticket over plain HTTP and sends it along with
+// the command; redeemTicket(ticket) turns it back into the pubkey. Tickets
+// are single-use, expire after ticketTtlMs and die with their session.
+//
+// Options:
+//   - routePrefix    — default "/__usernode/auth".
+//   - cookieName     — default "usernode_session".
+//   - appName        — shown in the signed message (default "Usernode dapp").
+//   - challengeTtlMs — default 5 minutes.
+//   - sessionTtlMs   — default 7 days.
+//   - secure         — set the cookie's Secure flag (default true; pass
+//                      false for plain-http local dev).
+//   - ticketTtlMs    — default 60 seconds.
+//   - resolvePublicKey — (address, claimedKey) → key | null, passed to
+//                      verifySignedMessage. Without it nobody can sign in
+//                      outside localDev, since a key the client sends can't
+//                      be trusted to belong to the address it claims.
+//   - localDev       — also let self-keyed mock pubkeys sign in (the bridge's
+//                      mock mode). Never set it on a public server.
+//   - verify         — (pubkey, message, signature, { publicKey, resolvePublicKey, localDev })
+//                      → boolean; defaults to verifySignedMessage.
+
+function _parseCookies(header) {
+  const out = {};
+  for (const part of String(header || "").split(";")) {
+    const eq = part.indexOf("=");
+    if (eq < 0) continue;
+    const key = part.slice(0, eq).trim();
+    if (!key || key in out) continue;
+    try { out[key] = decodeURIComponent(part.slice(eq + 1).trim()); }
+    catch (_) { out[key] = part.slice(eq + 1).trim(); }
+  }
+  return out;
+}
+
+function createAuthSessions(opts) {
+  opts = opts || {};
+  const routePrefix = opts.routePrefix || "/__usernode/auth";
+  const cookieName = opts.cookieName || "usernode_session";
+  const appName = opts.appName || "Usernode dapp";
+  const challengeTtlMs = opts.challengeTtlMs || 5 * 60 * 1000;
+  const sessionTtlMs = opts.sessionTtlMs || 7 * 24 * 60 * 60 * 1000;
+  const ticketTtlMs = opts.ticketTtlMs || 60 * 1000;
+  const secure = opts.secure !== false;
+  const verify = typeof opts.verify === "function" ? opts.verify : verifySignedMessage;
+  const resolvePublicKey = typeof opts.resolvePublicKey === "function" ? opts.resolvePublicKey : undefined;
+  const localDev = !!opts.localDev;
+
+  const challenges = new Map(); // nonce → { message, expiresAt }
+  const sessions = new Map();   // token → { pubkey, expiresAt }
+  const tickets = new Map();    // ticket → { token, expiresAt }
+
+  function _prune() {
+    const now = Date.now();
+    for (const [nonce, c] of challenges) if (c.expiresAt <= now) challenges.delete(nonce);
+    for (const [token, s] of sessions) if (s.expiresAt <= now) sessions.delete(token);
+    for (const [ticket, t] of tickets) if (t.expiresAt <= now) tickets.delete(ticket);
+  }
+
+  function _json(res, code, body, extraHeaders) {
+    res.writeHead(code, { "Content-Type": "application/json", "Cache-Control": "no-store", ...(extraHeaders || {}) });
+    res.end(JSON.stringify(body));
+  }
+
+  function _cookie(value, maxAgeSec) {
+    return `${cookieName}=${encodeURIComponent(value)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAgeSec}${secure ? "; Secure" : ""}`;
+  }
+
+  function _session(req) {
+    const token = _parseCookies(req.headers && req.headers.cookie)[cookieName];
+    if (!token) return null;
+    const session = sessions.get(token);
+    if (!session) return null;
+    if (session.expiresAt <= Date.now()) { sessions.delete(token); return null; }
+    return { token, ...session };
+  }
+
+  function issueChallenge() {
+    _prune();
+    const nonce = crypto.randomBytes(16).toString("hex");
+    const issuedAt = new Date().toISOString();
+    const message = `Sign in to ${appName}\nNonce: ${nonce}\nIssued: ${issuedAt}`;
+    const expiresAt = Date.now() + challengeTtlMs;
+    challenges.set(nonce, { message, expiresAt });
+    return { nonce, message, expires_at: expiresAt };
+  }
+
+  // Returns { token, pubkey, expiresAt } or { error }. The challenge is
+  // consumed either way, so a failed attempt can't be retried against it.
+  function completeSignIn(body) {
+    const nonce = String((body && body.nonce) || "");
+    const pubkey = String((body && body.pubkey) || "").trim();
+    const signature = body && body.signature;
+    const challenge = challenges.get(nonce);
+    challenges.delete(nonce);
+    if (!challenge || challenge.expiresAt <= Date.now()) return { error: "unknown or expired challenge" };
+    if (!pubkey || !signature) return { error: "pubkey and signature required" };
+    if (!verify(pubkey, challenge.message, signature, { publicKey: body.public_key || undefined, resolvePublicKey, localDev })) {
+      return { error: "signature does not verify" };
     }
-  })();
+    const token = crypto.randomBytes(32).toString("base64url");
+    const expiresAt = Date.now() + sessionTtlMs;
+    sessions.set(token, { pubkey, expiresAt });
+    return { token, pubkey, expiresAt };
+  }
 
-  return true;
-}
+  // Verified pubkey for the request's session cookie, or null.
+  function getPubkey(req) {
+    const session = _session(req);
+    return session ? session.pubkey : null;
+  }
 
-// ── Mock transaction API ─────────────────────────────────────────────────────
-//
-// Returns { transactions, handleRequest }.
-// handleRequest(req, res, pathname) returns true if handled.
+  // Like getPubkey, but when there's no session and `res` is given it
+  // answers 401 itself, so handlers can `if (!pubkey) return true;`.
+  function requirePubkey(req, res) {
+    const pubkey = getPubkey(req);
+    if (!pubkey && res) _json(res, 401, { error: "sign-in required" });
+    return pubkey;
+  }
 
-function createMockApi(opts) {
-  const localDev = (opts && opts.localDev) || false;
-  const delayMs = (opts && opts.delayMs) || 5000;
-  const delayOverrides = (opts && opts.delayOverrides) || {};
-  const transactions = [];
+  // One-time stand-in for the request's session, or null without one.
+  function issueTicket(req) {
+    _prune();
+    const session = _session(req);
+    if (!session) return null;
+    const ticket = crypto.randomBytes(24).toString("base64url");
+    const expiresAt = Math.min(Date.now() + ticketTtlMs, session.expiresAt);
+    tickets.set(ticket, { token: session.token, expiresAt });
+    return { ticket, expiresAt };
+  }
+
+  // Pubkey of the session a ticket was issued for, or null. Consumes it.
+  function redeemTicket(ticket) {
+    if (ticket == null) return null;
+    const entry = tickets.get(String(ticket));
+    tickets.delete(String(ticket));
+    if (!entry || entry.expiresAt <= Date.now()) return null;
+    const session = sessions.get(entry.token);
+    if (!session || session.expiresAt <= Date.now()) return null;
+    return session.pubkey;
+  }
+
+  // Ends every session for `pubkey` (e.g. after an admin key rotation).
+  function revoke(pubkey) {
+    for (const [token, s] of sessions) if (s.pubkey === pubkey) sessions.delete(token);
+  }
 
   function handleRequest(req, res, pathname) {
-    if (pathname === "/__mock/enabled") {
-      if (!localDev) {
-        res.writeHead(404); res.end("Not found");
-        return true;
-      }
-      res.writeHead(200, { "Content-Type": "application/json", "Cache-Control": "no-store" });
-      res.end(JSON.stringify({ enabled: true }));
+    if (!pathname.startsWith(routePrefix + "/")) return false;
+    const route = pathname.slice(routePrefix.length + 1);
+
+    if (route === "challenge" && req.method === "POST") {
+      _json(res, 200, issueChallenge());
       return true;
     }
 
-    if (pathname === "/__mock/sendTransaction" && req.method === "POST") {
-      if (!localDev) {
-        res.writeHead(404); res.end("Not found (start with --local-dev)");
-        return true;
-      }
+    if (route === "verify" && req.method === "POST") {
       readJson(req).then((body) => {
-        const from_pubkey = String(body.from_pubkey || "").trim();
-        const destination_pubkey = String(body.destination_pubkey || "").trim();
-        const amount = body.amount;
-        const memo = body.memo == null ? undefined : String(body.memo);
-        if (!from_pubkey || !destination_pubkey) {
-          res.writeHead(400, { "Content-Type": "application/json" });
-          res.end(JSON.stringify({ error: "from_pubkey and destination_pubkey required" }));
-          return;
-        }
-        console.log(`[tx] received from=${from_pubkey.slice(0, 16)}… dest=${destination_pubkey.slice(0, 16)}…`);
-        const tx = { id: crypto.randomUUID(), from_pubkey, destination_pubkey, amount, memo, created_at: new Date().toISOString() };
-        const txDelay = (destination_pubkey in delayOverrides) ? delayOverrides[destination_pubkey] : delayMs;
-        setTimeout(() => { transactions.push(tx); }, txDelay);
-        res.writeHead(200, { "Content-Type": "application/json" });
-        res.end(JSON.stringify({ queued: true, tx }));
-      }).catch((e) => {
-        res.writeHead(400, { "Content-Type": "application/json" });
-        res.end(JSON.stringify({ error: e.message }));
-      });
+        const result = completeSignIn(body);
+        if (result.error) return _json(res, 401, { error: result.error });
+        console.log(`[auth] signed in ${result.pubkey.slice(0, 16)}…`);
+        _json(res, 200, { pubkey: result.pubkey, expires_at: result.expiresAt }, {
+          "Set-Cookie": _cookie(result.token, Math.floor(sessionTtlMs / 1000)),
+        });
+      }).catch((e) => _json(res, 400, { error: e.message }));
       return true;
     }
 
-    if (pathname === "/__mock/getTransactions" && req.method === "POST") {
-      if (!localDev) {
-        res.writeHead(404); res.end("Not found (start with --local-dev)");
-        return true;
-      }
-      readJson(req).then((body) => {
-        const filterOptions = body.filterOptions || {};
-        const owner = String(body.owner_pubkey || filterOptions.account || "").trim();
-        const limit = typeof filterOptions.limit === "number" ? filterOptions.limit : 50;
-        const cursor = filterOptions.cursor || body.cursor || null;
-
-        const filtered = transactions
-          .filter((tx) => !owner || tx.from_pubkey === owner || tx.destination_pubkey === owner);
-
-        // Cursor is a 0-based index into the filtered array (descending).
-        // Reverse so newest is first (index 0 = newest).
-        const reversed = filtered.slice().reverse();
-        let startIdx = 0;
-        if (cursor != null) {
-          try {
-            startIdx = parseInt(Buffer.from(String(cursor), "base64").toString("utf8"), 10);
-            if (!Number.isFinite(startIdx) || startIdx < 0) startIdx = 0;
-          } catch (_) { startIdx = 0; }
-        }
+    if (route === "session" && (req.method === "GET" || req.method === "HEAD")) {
+      const session = _session(req);
+      _json(res, 200, { pubkey: session ? session.pubkey : null, expires_at: session ? session.expiresAt : null });
+      return true;
+    }
 
-        const page = reversed.slice(startIdx, startIdx + limit);
-        const nextIdx = startIdx + limit;
-        const hasMore = nextIdx < reversed.length;
-        const nextCursor = hasMore
-          ? Buffer.from(String(nextIdx)).toString("base64")
-          : null;
+    if (route === "ticket" && req.method === "POST") {
+      const issued = issueTicket(req);
+      if (!issued) return _json(res, 401, { error: "sign-in required" }), true;
+      _json(res, 200, { ticket: issued.ticket, expires_at: issued.expiresAt });
+      return true;
+    }
 
-        res.writeHead(200, { "Content-Type": "application/json" });
-        res.end(JSON.stringify({
-          items: page,
-          has_more: hasMore,
-          next_cursor: nextCursor,
-        }));
-      }).catch((e) => {
-        res.writeHead(400, { "Content-Type": "application/json" });
-        res.end(JSON.stringify({ error: e.message }));
-      });
+    if (route === "logout" && req.method === "POST") {
+      const session = _session(req);
+      if (session) sessions.delete(session.token);
+      _json(res, 200, { ok: true }, { "Set-Cookie": _cookie("", 0) });
       return true;
     }
 
     return false;
   }
 
-  return { transactions, handleRequest };
+  return { handleRequest, getPubkey, requirePubkey, revoke, issueChallenge, completeSignIn, issueTicket, redeemTicket };
 }
 
 // ── Confirmation status ──────────────────────────────────────────────────────
@@ -278,7 +1676,17 @@ function isExplorerConfirmed(status) {
 // ── Chain poller ─────────────────────────────────────────────────────────────
 //
 // Polls the explorer API for new transactions and calls onTransaction(tx) for
-// each unseen one. Returns { start() }.
+// each unseen one. Returns { start(), stop(), setInitialLastHeight(h),
+// addSeenIds(ids), addDelivered(txs) }.
+//
+// With opts.reorgAware, each poll also reads the newest reorgDepth (default
+// 20) blocks and remembers their hashes. When a height it has seen comes
+// back with a different hash, the chain forked there: txs already handed to
+// onTransaction from that height on are revoked, lastHeight rewinds below
+// the fork so the new branch is fetched, and onRollback(toHeight,
+// revokedTxs) is called with the last height still valid. So is a delivered
+// tx the explorer now lists as orphaned. Forks deeper than reorgDepth go
+// unnoticed.
 
 function createChainPoller(opts) {
   const appPubkey = opts.appPubkey;
@@ -292,11 +1700,16 @@ function createChainPoller(opts) {
   const seenIdsCap = opts.seenIdsCap || 5000;
   const recheckIntervalPolls = opts.recheckIntervalPolls || 10;
   const skipOrphaned = opts.skipOrphaned !== false;
+  const reorgAware = !!opts.reorgAware;
+  const reorgDepth = opts.reorgDepth || 20;
+  const onRollback = opts.onRollback || null;
 
   let chainId = null;
   const seenTxIds = new Set();
   let lastHeight = (opts.initialLastHeight != null) ? opts.initialLastHeight : null;
   let pollCount = 0;
+  const blockHashes = new Map(); // height → hash, newest reorgDepth blocks
+  let delivered = []; // { tx, height } handed to onTransaction within the window
 
   async function fetchActiveChainId() {
     const data = await httpsJson("GET", `${explorerProto(upstream)}://${upstream}${upstreamBase}/active_chain`);
@@ -324,6 +1737,8 @@ function createChainPoller(opts) {
         chainId = id;
         seenTxIds.clear();
         lastHeight = null;
+        blockHashes.clear();
+        delivered = [];
         if (onChainReset) onChainReset(id, oldId);
       }
     } catch (e) {
@@ -344,6 +1759,55 @@ function createChainPoller(opts) {
     return 0;
   }
 
+  function _txId(tx) {
+    return tx.tx_id || tx.id || tx.txid || tx.hash || tx.tx_hash;
+  }
+
+  // Revokes every delivered tx at or above forkHeight and rewinds so the
+  // next poll refetches from the last valid height.
+  function rollback(forkHeight, why) {
+    const toHeight = forkHeight - 1;
+    const revoked = delivered.filter((d) => d.height >= forkHeight).map((d) => d.tx);
+    delivered = delivered.filter((d) => d.height < forkHeight);
+    for (const tx of revoked) seenTxIds.delete(_txId(tx));
+    for (const h of Array.from(blockHashes.keys())) if (h >= forkHeight) blockHashes.delete(h);
+    if (lastHeight != null && lastHeight > toHeight) lastHeight = toHeight;
+    console.log(`[chain] ${why} — rolling back to height ${toHeight}, ${revoked.length} tx(s) revoked`);
+    if (onRollback) onRollback(toHeight, revoked);
+    return toHeight;
+  }
+
+  // Compares the explorer's newest blocks against the hashes seen on
+  // earlier polls and rolls back to below the lowest height that changed.
+  async function checkReorg(baseUrl) {
+    let blocks;
+    try {
+      const resp = await httpsJson("GET", `${baseUrl}/blocks?limit=${reorgDepth}`);
+      blocks = (resp && Array.isArray(resp.items)) ? resp.items : [];
+    } catch (e) {
+      console.warn(`[chain] reorg check failed: ${e.message}`);
+      return;
+    }
+    let forkHeight = null;
+    for (const block of blocks) {
+      if (typeof block.height !== "number" || !block.hash || block.status === "orphaned") continue;
+      const known = blockHashes.get(block.height);
+      if (known && known !== block.hash && (forkHeight == null || block.height < forkHeight)) {
+        forkHeight = block.height;
+      }
+    }
+    if (forkHeight != null) rollback(forkHeight, `reorg at height ${forkHeight}`);
+    for (const block of blocks) {
+      if (typeof block.height !== "number" || !block.hash || block.status === "orphaned") continue;
+      blockHashes.set(block.height, block.hash);
+    }
+    const tip = blocks.reduce((h, b) => (typeof b.height === "number" && b.height > h ? b.height : h), -Infinity);
+    if (Number.isFinite(tip)) {
+      for (const h of Array.from(blockHashes.keys())) if (h <= tip - reorgDepth) blockHashes.delete(h);
+      delivered = delivered.filter((d) => d.height > tip - reorgDepth);
+    }
+  }
+
   async function poll() {
     if (!chainId) { await discoverChainId(); if (!chainId) return; }
     else if (pollCount > 0 && pollCount % recheckIntervalPolls === 0) {
@@ -352,12 +1816,14 @@ function createChainPoller(opts) {
 
     pollCount++;
     const baseUrl = `${explorerProto(upstream)}://${upstream}${upstreamBase}/${chainId}`;
+    if (reorgAware) await checkReorg(baseUrl);
     const url = `${baseUrl}/transactions`;
     const MAX_PAGES = maxPages;
     let cursor = null, totalItems = 0;
     const newTxs = [];
     const fromHeight = lastHeight;
     let maxHeight = lastHeight;
+    let rewoundTo = null; // set when an orphaned tx rolls back mid-poll
 
     try {
       for (let page = 0; page < MAX_PAGES; page++) {
@@ -384,9 +1850,20 @@ function createChainPoller(opts) {
 
         let allSeen = true;
         for (const tx of items) {
-          const txId = tx.tx_id || tx.id || tx.txid || tx.hash || tx.tx_hash;
+          const txId = _txId(tx);
           if (!txId) continue;
-          if (seenTxIds.has(txId)) continue;
+          if (seenTxIds.has(txId)) {
+            // Delivered, and since orphaned: its block lost a fork we
+            // didn't see in the block list.
+            if (reorgAware && tx.status === "orphaned") {
+              const d = delivered.find((entry) => _txId(entry.tx) === txId);
+              if (d) {
+                const toHeight = rollback(d.height, `tx ${txId} orphaned`);
+                rewoundTo = rewoundTo == null ? toHeight : Math.min(rewoundTo, toHeight);
+              }
+            }
+            continue;
+          }
           if (skipOrphaned && tx.status && !isExplorerConfirmed(tx.status)) continue;
           allSeen = false;
           seenTxIds.add(txId);
@@ -405,7 +1882,7 @@ function createChainPoller(opts) {
         cursor = nextCursor;
       }
 
-      if (maxHeight != null) lastHeight = maxHeight;
+      if (maxHeight != null) lastHeight = rewoundTo != null ? Math.min(maxHeight, rewoundTo) : maxHeight;
 
       // Bound seenTxIds to prevent unbounded memory growth.
       if (seenTxIds.size > seenIdsCap) {
@@ -420,6 +1897,10 @@ function createChainPoller(opts) {
       // vote resolution) see events oldest-first.
       newTxs.sort((a, b) => extractTxTimestamp(a) - extractTxTimestamp(b));
       for (const tx of newTxs) {
+        if (reorgAware && typeof tx.block_height === "number") {
+          delivered.push({ tx, height: tx.block_height });
+          if (tx.block_hash && !blockHashes.has(tx.block_height)) blockHashes.set(tx.block_height, tx.block_hash);
+        }
         if (onTransaction) onTransaction(tx);
       }
 
@@ -439,12 +1920,31 @@ function createChainPoller(opts) {
     for (const id of ids) if (id) seenTxIds.add(id);
   }
 
+  // Txs the caller already applied without this poller (a checkpoint replay,
+  // a backfill): with reorgAware they are tracked like delivered ones, so a
+  // reorg in the window can still revoke them.
+  function addDelivered(txs) {
+    if (!reorgAware) return;
+    for (const tx of txs) {
+      if (typeof tx.block_height !== "number") continue;
+      delivered.push({ tx, height: tx.block_height });
+      if (tx.block_hash && !blockHashes.has(tx.block_height)) blockHashes.set(tx.block_height, tx.block_hash);
+    }
+  }
+
+  let timer = null;
+
   function start() {
     poll();
-    setInterval(poll, intervalMs);
+    timer = setInterval(poll, intervalMs);
   }
 
-  return { start, setInitialLastHeight, addSeenIds };
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, setInitialLastHeight, addSeenIds, addDelivered };
 }
 
 // ── Node RPC: tracked-owner registration + recent-tx-by-recipient ──────────
@@ -778,7 +2278,8 @@ function createNodeRecentTxStream(opts) {
 
 // ── Bulk transaction fetch ───────────────────────────────────────────────────
 //
-// One-shot paginated fetch of all transactions for a pubkey/chain.
+// One-shot paginated fetch of all transactions for a pubkey/chain, or with
+// opts.fromHeight only those at or above that block height.
 // Returns { transactions: [...], lastHeight, txIds: [...] } sorted oldest-first.
 
 async function fetchAllTransactions(opts) {
@@ -788,6 +2289,7 @@ async function fetchAllTransactions(opts) {
   const upstream = opts.upstream || getExplorerUpstream();
   const upstreamBase = opts.upstreamBase || getExplorerUpstreamBase();
   const maxPages = opts.maxPages || 500;
+  const fromHeight = opts.fromHeight != null ? opts.fromHeight : null;
 
   if (!chainId || !appPubkey) return { transactions: [], lastHeight: null };
 
@@ -801,6 +2303,7 @@ async function fetchAllTransactions(opts) {
     for (let page = 0; page < maxPages; page++) {
       const body = { [queryField]: appPubkey, limit: 50 };
       if (cursor) body.cursor = cursor;
+      if (fromHeight != null) body.from_height = fromHeight;
       const resp = await httpsJson("POST", url, body);
 
       const items = Array.isArray(resp) ? resp
@@ -965,8 +2468,25 @@ async function fetchGenesisAccounts(opts) {
 //   - processTransaction   — pure function: takes a raw explorer tx, mutates internal state.
 //   - handleRequest        — pure function: serves the state-as-JSON HTTP endpoint(s).
 //   - onChainReset         — called when the chain id changes (clear caller state).
+//                            Also called as ("mock-delete"|"mock-reset", "mock")
+//                            after a /__mock/admin delete or reset.
+//   - reorgAware           — run the explorer pollers in reorg-aware mode (see
+//                            createChainPoller). On a rollback the revoked txs
+//                            are dropped, onRollback clears the caller's state
+//                            and the remaining raw txs are replayed through
+//                            processTransaction. Txs from the checkpoint and
+//                            backfill can be revoked too. reorgDepth sets the
+//                            window (default 20 blocks). Default false.
+//                            The node stream can't report reorgs, so this
+//                            also turns its fast path off: `recipient` txs
+//                            arrive at explorer-indexing latency (logged at
+//                            start when nodeRpcUrl is set).
+//   - onRollback           — (toHeight, revokedTxs) → clear the caller's state
+//                            before the replay. Required with reorgAware.
 //   - localDev             — gate chain polling off and drain mockTransactions instead.
-//   - mockTransactions     — array from createMockApi; drained on a 1s timer in localDev.
+//   - mockTransactions     — array from createMockApi; drained on a 1s timer in localDev,
+//                            and replayed from the start after an admin delete/reset.
+//                            --mock-blocks txs are held until confirmed, skipped if orphaned.
 //   - intervalMs           — live-poll interval (default 3000).
 //   - backfill             — run fetchAllTransactions once at start (default true).
 //   - name                 — short label for log lines.
@@ -974,7 +2494,7 @@ async function fetchGenesisAccounts(opts) {
 //     When set, the `recipient` queryField switches to the node's SSE
 //     fast path automatically (see `useNodeStream`).
 //   - useNodeStream        — defaults to true whenever `nodeRpcUrl` is
-//     set. The `recipient` queryField is then served by a direct-to-node
+//     set (and reorgAware is not). The `recipient` queryField is then served by a direct-to-node
 //     SSE stream + catch-up poll (see createNodeRecentTxStream) instead
 //     of paginating the explorer, dropping live-tail latency from 5–60s
 //     (explorer indexing) to sub-second. Requires the node to expose
@@ -983,16 +2503,34 @@ async function fetchGenesisAccounts(opts) {
 //     out — useful when targeting an older node that lacks those
 //     endpoints. Other queryFields keep the explorer path; backfill is
 //     always explorer-driven.
+//   - dedupeNonces         — skip processTransaction for a tx whose memo
+//     nonce (the bridge's opts.idempotencyKey) was already processed for
+//     the same sender. Default false; `{ ttlMs, maxEntries }` turns it on
+//     with those createNonceDeduper bounds.
+//   - checkpoint           — a directory, or a store { load(), save(data),
+//     saveSync?(data) } (load and save may return a promise). Retained raw
+//     txs, seen ids, the last block height and the chain id are saved every
+//     checkpointIntervalMs (default 60000) and after backfill; saveSync, if
+//     present, runs on process exit. The cache installs no signal handlers:
+//     a server's own SIGTERM handler should await cache.stop() (or
+//     cache.saveCheckpoint()) before it exits. On the next start the checkpoint
+//     is replayed through processTransaction and backfill only fetches
+//     from its height on. Discarded when the chain id, app pubkey or
+//     queryFields differ. Ignored in localDev (see --mock-store instead).
 //
 // Helper handles:
 //   - Discover chain id, backfill history (oldest→newest, interleaved across
 //     multiple queryFields) before any live polling. Avoids out-of-order
 //     processing when both incoming and outgoing txs matter to the app.
+//     With a checkpoint, only the tail after it.
 //   - Live polling via createChainPoller per queryField with `from_height`
 //     incremental fetches.
 //   - Mock-mode drain of mockTransactions (no chain polling).
 //   - Forwarding handleRequest so the caller's HTTP routes are served from
 //     the cache wiring.
+//   - Bridge-facing routes under /__usernode/cache/<appPubkey>: `info`,
+//     `getTransactions` (inclusion polls) and `stream` (SSE push of each
+//     ingested tx, with Last-Event-ID resume — backs usernode.subscribe).
 
 function _appStateExtractTs(tx) {
   const candidates = [tx.timestamp_ms, tx.created_at, tx.createdAt, tx.timestamp, tx.time];
@@ -1011,6 +2549,151 @@ function _appStateExtractId(tx) {
   return tx.tx_id || tx.id || tx.txid || tx.hash || tx.tx_hash || null;
 }
 
+// Idempotency nonces stamped into JSON memos by the bridge
+// (sendTransaction's opts.idempotencyKey), under a namespaced field so a
+// dapp's own `nonce` is left alone. Scoped per sender: the same nonce from
+// two different accounts is two different sends.
+const MEMO_NONCE_FIELD = "usernode:nonce";
+
+function memoNonceKey(tx) {
+  if (!tx || typeof tx !== "object" || tx.memo == null) return null;
+  let memo;
+  try { memo = JSON.parse(String(tx.memo)); } catch (_) { return null; }
+  if (!memo || typeof memo !== "object" || memo[MEMO_NONCE_FIELD] == null) return null;
+  const from = tx.source || tx.from_pubkey || tx.from || "";
+  return `${from}:${memo[MEMO_NONCE_FIELD]}`;
+}
+
+// Remembers (sender, nonce) pairs so a replayed send — a second on-chain tx
+// carrying a nonce that was already processed — can be dropped. Txs without
+// a nonce are never reported as duplicates. A pair is forgotten after
+// opts.ttlMs (default 24h), and the oldest go first past opts.maxEntries
+// (default 100000).
+function createNonceDeduper(opts) {
+  opts = opts || {};
+  const ttlMs = opts.ttlMs || 24 * 60 * 60 * 1000;
+  const maxEntries = opts.maxEntries || 100000;
+  const now = opts.now || Date.now;
+  // key → first-seen ms, in insertion (= age) order.
+  const seen = new Map();
+
+  function prune() {
+    const cutoff = now() - ttlMs;
+    for (const [key, at] of seen) {
+      if (at > cutoff && seen.size <= maxEntries) break;
+      seen.delete(key);
+    }
+  }
+
+  return {
+    // true when tx carries a nonce already seen (and records it otherwise)
+    isDuplicate(tx) {
+      const key = memoNonceKey(tx);
+      if (key == null) return false;
+      prune();
+      if (seen.has(key)) return true;
+      seen.set(key, now());
+      if (seen.size > maxEntries) prune();
+      return false;
+    },
+    clear() { seen.clear(); },
+    get size() { return seen.size; },
+  };
+}
+
+// Checkpoint format version; a file written by another version is ignored.
+const APP_STATE_CHECKPOINT_VERSION = 2;
+
+// createAppStateCache's `checkpoint: "<dir>"` store: one NDJSON file per app
+// pubkey, a header line ({ version, app_pubkey, chain_id, query_fields })
+// followed by one raw tx per line. Like --mock-store, saves only append the
+// txs retained since the last one; the file is rewritten (to .tmp, then
+// renamed) when the header changes or txs were dropped, i.e. after a chain
+// reset or rollback. seen_ids and last_height are derived on load.
+function _appStateCheckpointDir(dir, appPubkey) {
+  const file = path.join(dir, `appstate-${appPubkey.replace(/[^A-Za-z0-9_.-]/g, "_")}.ndjson`);
+  // What the file holds: its header line, how many txs, and the last of
+  // them (by identity — the cache retains the same objects, so a save whose
+  // raw_txs still has it at that position only added txs since).
+  let header = null;
+  let written = 0;
+  let lastTx = null;
+
+  // → { rewrite, text } for `data`, and marks it written.
+  function plan(data) {
+    const txs = data.raw_txs;
+    const nextHeader = JSON.stringify({
+      version: data.version,
+      app_pubkey: data.app_pubkey,
+      chain_id: data.chain_id,
+      query_fields: data.query_fields,
+    });
+    const rewrite = nextHeader !== header || txs.length < written || (written > 0 && txs[written - 1] !== lastTx);
+    const fresh = rewrite ? txs : txs.slice(written);
+    const text = (rewrite ? nextHeader + "\n" : "") + fresh.map((tx) => JSON.stringify(tx) + "\n").join("");
+    header = nextHeader;
+    written = txs.length;
+    lastTx = txs.length ? txs[txs.length - 1] : null;
+    return { rewrite, text };
+  }
+
+  return {
+    file,
+    load() {
+      if (!fs.existsSync(file)) return null;
+      const lines = fs.readFileSync(file, "utf8").split("\n").filter((line) => line.trim());
+      if (!lines.length) return null;
+      const data = { ...JSON.parse(lines[0]), raw_txs: [], seen_ids: [], last_height: null };
+      let torn = false;
+      for (const line of lines.slice(1)) {
+        let tx;
+        try { tx = JSON.parse(line); } catch (_) { torn = true; continue; }
+        data.raw_txs.push(tx);
+        const id = _appStateExtractId(tx);
+        if (id) data.seen_ids.push(id);
+        const bh = tx.block_height;
+        if (typeof bh === "number" && (data.last_height == null || bh > data.last_height)) data.last_height = bh;
+      }
+      // A line torn by a crash mid-append: rewrite before appending again.
+      header = torn ? null : lines[0];
+      written = data.raw_txs.length;
+      lastTx = written ? data.raw_txs[written - 1] : null;
+      return data;
+    },
+    async save(data) {
+      const { rewrite, text } = plan(data);
+      try {
+        if (!rewrite) {
+          if (text) await fs.promises.appendFile(file, text);
+          return;
+        }
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(file + ".tmp", text);
+        await fs.promises.rename(file + ".tmp", file);
+      } catch (e) {
+        header = null;
+        throw e;
+      }
+    },
+    // For process "exit", where nothing async runs any more.
+    saveSync(data) {
+      const { rewrite, text } = plan(data);
+      try {
+        if (!rewrite) {
+          if (text) fs.appendFileSync(file, text);
+          return;
+        }
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(file + ".tmp", text);
+        fs.renameSync(file + ".tmp", file);
+      } catch (e) {
+        header = null;
+        throw e;
+      }
+    },
+  };
+}
+
 function createAppStateCache(opts) {
   opts = opts || {};
   const appPubkey = opts.appPubkey;
@@ -1028,6 +2711,11 @@ function createAppStateCache(opts) {
     ? opts.queryFields
     : ["recipient"];
   const onChainReset = opts.onChainReset || null;
+  const onRollback = opts.onRollback || null;
+  const reorgAware = !!opts.reorgAware;
+  if (reorgAware && typeof onRollback !== "function") {
+    throw new Error("createAppStateCache: reorgAware needs onRollback(toHeight, revokedTxs) to clear the caller's state");
+  }
   const localDev = !!opts.localDev;
   const mockTransactions = opts.mockTransactions || null;
   const intervalMs = opts.intervalMs || 3000;
@@ -1053,9 +2741,20 @@ function createAppStateCache(opts) {
   // cover incoming traffic. Backfill is always explorer-driven.
   //
   // Pass `useNodeStream: false` to opt out (e.g. when targeting an older
-  // node that lacks the SSE endpoints).
+  // node that lacks the SSE endpoints). `reorgAware` opts out too.
   const nodeRpcUrl = opts.nodeRpcUrl || null;
-  const useNodeStream = (opts.useNodeStream !== false) && !!nodeRpcUrl;
+  const useNodeStream = (opts.useNodeStream !== false) && !!nodeRpcUrl && !reorgAware;
+  // `dedupeNonces: true` skips processTransaction for a tx whose memo nonce
+  // (per sender) was already processed — a double-submitted send then only
+  // counts once. The duplicate is still retained and streamed, since it is
+  // on chain and the sender's inclusion wait may be looking for it.
+  const nonceDeduper = opts.dedupeNonces
+    ? createNonceDeduper(typeof opts.dedupeNonces === "object" ? opts.dedupeNonces : undefined)
+    : null;
+  const checkpointStore = localDev || !opts.checkpoint ? null
+    : typeof opts.checkpoint === "string" ? _appStateCheckpointDir(opts.checkpoint, appPubkey)
+    : opts.checkpoint;
+  const checkpointIntervalMs = opts.checkpointIntervalMs || 60000;
 
   // ── Raw-tx store + bridge-facing HTTP endpoint ──────────────────────────
   //
@@ -1063,8 +2762,8 @@ function createAppStateCache(opts) {
   // the bridge's waitForTransactionVisible can poll the local cache instead
   // of redundantly polling the explorer. One server poll → many client reads.
   //
-  // Stored unbounded by design: the cache is rebuilt from chain history on
-  // every restart, so it never grows past one server's lifetime, and a few
+  // Stored unbounded by design: it only ever holds one app's history
+  // (rebuilt from the chain, or a checkpoint, on restart), and a few
   // hundred bytes per tx puts the practical ceiling far above what these
   // dapps generate. Add a `maxRetained` opt later if a dapp ever approaches
   // it.
@@ -1072,15 +2771,60 @@ function createAppStateCache(opts) {
   const rawTxIds = new Set();
   const cacheRoutePrefix = `/__usernode/cache/${appPubkey}`;
 
+  // ── Push stream (SSE) ───────────────────────────────────────────────────
+  //
+  // GET ${cacheRoutePrefix}/stream pushes every newly-retained raw tx as an
+  // SSE `tx` event the moment processTransaction ingests it, so the bridge's
+  // usernode.subscribe() and inclusion waits don't have to poll. The event
+  // id is the tx's 1-based position in rawTxs; a reconnecting client sends
+  // it back (Last-Event-ID header, or `last_event_id` query param since
+  // EventSource can't set headers on a manual reconnect) and gets the tail
+  // it missed replayed before live events resume.
+  //
+  // `epoch` bumps on chain reset (rawTxs is cleared, so positions restart).
+  // Ids are "<epoch>:<seq>"; a resume id from an older epoch replays the
+  // whole store, and connected clients get a `reset` event.
+  const streamClients = new Set();
+  let streamEpoch = 1;
+  let streamHeartbeat = null;
+  const STREAM_HEARTBEAT_MS = 15000;
+
+  function _streamWrite(client, chunk) {
+    try { client.res.write(chunk); } catch (_) { /* socket gone; close handler cleans up */ }
+  }
+
+  function _streamSendTx(client, tx, seq) {
+    if (!_txMatchesFilter(tx, client.filter)) return;
+    _streamWrite(client, `id: ${streamEpoch}:${seq}\nevent: tx\ndata: ${JSON.stringify(tx)}\n\n`);
+  }
+
+  function _broadcastTx(tx, seq) {
+    for (const client of streamClients) _streamSendTx(client, tx, seq);
+  }
+
   function processTransaction(rawTx) {
+    let retainedSeq = null;
     if (rawTx && typeof rawTx === "object") {
       const id = _appStateExtractId(rawTx);
       if (!id || !rawTxIds.has(id)) {
         if (id) rawTxIds.add(id);
         rawTxs.push(rawTx);
+        retainedSeq = rawTxs.length;
+        checkpointDirty = true;
+        const bh = rawTx.block_height;
+        if (typeof bh === "number" && (checkpointHeight == null || bh > checkpointHeight)) checkpointHeight = bh;
       }
     }
-    return userProcessTransaction(rawTx);
+    let result;
+    if (nonceDeduper && nonceDeduper.isDuplicate(rawTx)) {
+      console.log(`[${name}] skipping duplicate nonce in tx ${_appStateExtractId(rawTx) || "(no id)"}`);
+    } else {
+      result = userProcessTransaction(rawTx);
+    }
+    // Broadcast after the caller's state has absorbed the tx, so a client
+    // that refetches derived state on push sees it reflected.
+    if (retainedSeq != null && streamClients.size) _broadcastTx(rawTx, retainedSeq);
+    return result;
   }
 
   // Read-only access to the cache's raw-tx list, in chronological (insertion)
@@ -1091,12 +2835,112 @@ function createAppStateCache(opts) {
     return rawTxs;
   }
 
-  function _onChainResetWrapped(newId, oldId) {
+  // ── Checkpoint ──────────────────────────────────────────────────────────
+
+  let checkpointChainId = null;
+  let checkpointHeight = null; // highest block_height among retained txs
+  let checkpointDirty = false;
+
+  // Resolves to the stored checkpoint if it belongs to this app, chain and
+  // set of queryFields, else null.
+  async function _loadCheckpoint(chainId) {
+    let data;
+    try {
+      data = await checkpointStore.load();
+    } catch (e) {
+      console.warn(`[${name}] checkpoint unreadable, doing a full backfill: ${e.message}`);
+      return null;
+    }
+    if (!data) return null;
+    const reason = [];
+    if (data.version !== APP_STATE_CHECKPOINT_VERSION) reason.push(`version ${data.version}`);
+    if (data.app_pubkey !== appPubkey) reason.push("app pubkey mismatch");
+    if (data.chain_id !== chainId) {
+      reason.push(`chain_id mismatch (checkpoint: ${String(data.chain_id).slice(0, 16)}…, current: ${chainId.slice(0, 16)}…)`);
+    }
+    if (!Array.isArray(data.query_fields) || data.query_fields.join(",") !== queryFields.join(",")) {
+      reason.push(`queryFields mismatch (checkpoint: [${data.query_fields}], current: [${queryFields}])`);
+    }
+    if (!Array.isArray(data.raw_txs)) reason.push("no raw_txs");
+    if (reason.length) {
+      console.log(`[${name}] discarding checkpoint: ${reason.join("; ")}`);
+      return null;
+    }
+    return data;
+  }
+
+  function _checkpointData() {
+    return {
+      version: APP_STATE_CHECKPOINT_VERSION,
+      app_pubkey: appPubkey,
+      chain_id: checkpointChainId,
+      query_fields: queryFields,
+      last_height: checkpointHeight,
+      saved_at: Date.now(),
+      seen_ids: Array.from(rawTxIds),
+      raw_txs: rawTxs,
+    };
+  }
+
+  // Saves run one at a time, so a slow store never sees two overlap.
+  let checkpointSaving = Promise.resolve();
+
+  function _saveCheckpoint() {
+    checkpointSaving = checkpointSaving.then(async () => {
+      if (!checkpointStore || !checkpointDirty || !checkpointChainId) return;
+      checkpointDirty = false;
+      try {
+        await checkpointStore.save(_checkpointData());
+      } catch (e) {
+        checkpointDirty = true;
+        console.warn(`[${name}] checkpoint save failed: ${e.message}`);
+      }
+    });
+    return checkpointSaving;
+  }
+
+  function _saveCheckpointSync() {
+    if (!checkpointDirty || !checkpointChainId) return;
+    checkpointDirty = false;
+    try {
+      checkpointStore.saveSync(_checkpointData());
+    } catch (e) {
+      console.warn(`[${name}] checkpoint save failed: ${e.message}`);
+    }
+  }
+
+  // Drops every retained tx and sends stream clients a `reset` event
+  // carrying `info`.
+  function _dropRetained(info) {
     rawTxs.length = 0;
     rawTxIds.clear();
+    checkpointHeight = null;
+    checkpointDirty = true;
+    if (nonceDeduper) nonceDeduper.clear();
+    streamEpoch++;
+    for (const client of streamClients) {
+      _streamWrite(client, `id: ${streamEpoch}:0\nevent: reset\ndata: ${JSON.stringify(info)}\n\n`);
+    }
+  }
+
+  function _onChainResetWrapped(newId, oldId) {
+    checkpointChainId = newId || null;
+    _dropRetained({ chain_id: newId || null });
     if (typeof onChainReset === "function") onChainReset(newId, oldId);
   }
 
+  // A reorg-aware poller revoked txs: the caller clears its state in
+  // onRollback, then it is rebuilt from the rest, replayed in their
+  // original order.
+  function _onRollback(toHeight, revokedTxs) {
+    const revokedIds = new Set(revokedTxs.map(_appStateExtractId).filter(Boolean));
+    const kept = rawTxs.filter((tx) => !revokedIds.has(_appStateExtractId(tx)));
+    _dropRetained({ chain_id: checkpointChainId, rollback_to_height: toHeight });
+    onRollback(toHeight, revokedTxs);
+    for (const tx of kept) processTransaction(tx);
+    console.log(`[${name}] rolled back to height ${toHeight}: ${revokedTxs.length} tx(s) revoked, ${kept.length} replayed`);
+  }
+
   function _txField(tx, ...keys) {
     for (const k of keys) {
       const v = tx && tx[k];
@@ -1105,25 +2949,79 @@ function createAppStateCache(opts) {
     return null;
   }
 
-  function _filterCachedTxs(filter) {
-    const limit = typeof filter.limit === "number" && filter.limit > 0 ? filter.limit : 50;
+  function _txMatchesFilter(tx, filter) {
     const sender = filter.sender || null;
     const recipient = filter.recipient || null;
     const account = filter.account || null;
+    const from = _txField(tx, "source", "from_pubkey", "from");
+    const to = _txField(tx, "destination", "destination_pubkey", "to");
+    if (sender && from !== sender) return false;
+    if (recipient && to !== recipient) return false;
+    if (account && from !== account && to !== account) return false;
+    return true;
+  }
+
+  function _filterCachedTxs(filter) {
+    const limit = typeof filter.limit === "number" && filter.limit > 0 ? filter.limit : 50;
     const out = [];
     // Newest-first (matches explorer API ordering).
     for (let i = rawTxs.length - 1; i >= 0 && out.length < limit; i--) {
       const tx = rawTxs[i];
-      const from = _txField(tx, "source", "from_pubkey", "from");
-      const to = _txField(tx, "destination", "destination_pubkey", "to");
-      if (sender && from !== sender) continue;
-      if (recipient && to !== recipient) continue;
-      if (account && from !== account && to !== account) continue;
+      if (!_txMatchesFilter(tx, filter)) continue;
       out.push(tx);
     }
     return out;
   }
 
+  // Parses a resume id ("<epoch>:<seq>") into the rawTxs index to replay
+  // from. Unknown / stale-epoch ids replay everything; no id means "live
+  // only" (index = current length).
+  function _streamResumeIndex(lastEventId) {
+    if (lastEventId == null || lastEventId === "") return rawTxs.length;
+    const m = /^(\d+):(\d+)$/.exec(String(lastEventId).trim());
+    if (!m || Number(m[1]) !== streamEpoch) return 0;
+    return Math.min(Number(m[2]), rawTxs.length);
+  }
+
+  function handleStreamRequest(req, res) {
+    const url = new URL(req.url || "/", "http://localhost");
+    const filter = {
+      sender: url.searchParams.get("sender") || null,
+      recipient: url.searchParams.get("recipient") || null,
+      account: url.searchParams.get("account") || null,
+    };
+    const lastEventId = req.headers["last-event-id"] != null
+      ? req.headers["last-event-id"]
+      : url.searchParams.get("last_event_id");
+
+    res.writeHead(200, {
+      "content-type": "text/event-stream",
+      "cache-control": "no-store",
+      connection: "keep-alive",
+      "x-accel-buffering": "no",
+    });
+    const client = { res, filter };
+    _streamWrite(client, "retry: 2000\n\n");
+    for (let i = _streamResumeIndex(lastEventId); i < rawTxs.length; i++) {
+      _streamSendTx(client, rawTxs[i], i + 1);
+    }
+    streamClients.add(client);
+
+    if (!streamHeartbeat) {
+      streamHeartbeat = setInterval(() => {
+        for (const c of streamClients) _streamWrite(c, ": keep-alive\n\n");
+      }, STREAM_HEARTBEAT_MS);
+    }
+
+    req.on("close", () => {
+      streamClients.delete(client);
+      if (!streamClients.size && streamHeartbeat) {
+        clearInterval(streamHeartbeat);
+        streamHeartbeat = null;
+      }
+    });
+  }
+
   function handleCacheRequest(req, res, pathname) {
     if (!pathname || !pathname.startsWith(cacheRoutePrefix)) return false;
     const sub = pathname.slice(cacheRoutePrefix.length);
@@ -1134,6 +3032,7 @@ function createAppStateCache(opts) {
         enabled: true,
         app_pubkey: appPubkey,
         count: rawTxs.length,
+        stream: true,
       });
       res.writeHead(200, {
         "content-type": "application/json",
@@ -1143,6 +3042,11 @@ function createAppStateCache(opts) {
       return true;
     }
 
+    if (sub === "/stream" && req.method === "GET") {
+      handleStreamRequest(req, res);
+      return true;
+    }
+
     if (sub === "/getTransactions" && req.method === "POST") {
       readJson(req).then(
         (filter) => {
@@ -1175,6 +3079,7 @@ function createAppStateCache(opts) {
   }
 
   let started = false;
+  const stoppers = []; // undo the timers, pollers and streams start() set up
 
   async function start() {
     if (started) return;
@@ -1183,12 +3088,34 @@ function createAppStateCache(opts) {
     if (localDev) {
       if (mockTransactions) {
         let idx = 0;
-        setInterval(() => {
+        // Listed by a --mock-blocks chain but not yet confirmed. As with the
+        // chain poller on the live network, they are processed once confirmed
+        // and never if their block is orphaned.
+        let held = [];
+        const drain = setInterval(() => {
+          held = held.filter((tx) => {
+            if (tx.status === "pending") return true;
+            if (isExplorerConfirmed(tx.status)) processTransaction(tx);
+            return false;
+          });
           while (idx < mockTransactions.length) {
-            processTransaction(mockTransactions[idx]);
+            const tx = mockTransactions[idx];
             idx++;
+            if (tx.status === "pending") held.push(tx);
+            else if (tx.status == null || isExplorerConfirmed(tx.status)) processTransaction(tx);
           }
         }, 1000);
+        stoppers.push(() => clearInterval(drain));
+        // A mock-admin delete or reset rewrote the store: drop everything
+        // derived from it, as on a chain reset, and replay what's left.
+        const resetListeners = mockStoreResetListeners.get(mockTransactions);
+        if (resetListeners) {
+          resetListeners.add((reason) => {
+            _onChainResetWrapped(`mock-${reason}`, "mock");
+            idx = 0;
+            held = [];
+          });
+        }
         console.log(`[${name}] mock drain started (queryFields=[${queryFields.join(",")}])`);
       }
       return;
@@ -1204,6 +3131,19 @@ function createAppStateCache(opts) {
 
     let lastHeight = initialLastHeight;
     const backfillIds = initialSeenIds ? initialSeenIds.slice() : [];
+    checkpointChainId = chainId;
+    let resumeHeight = null;
+    if (checkpointStore && chainId) {
+      const checkpoint = await _loadCheckpoint(chainId);
+      if (checkpoint) {
+        for (const tx of checkpoint.raw_txs) processTransaction(tx);
+        for (const id of checkpoint.seen_ids || []) backfillIds.push(id);
+        resumeHeight = checkpoint.last_height != null ? checkpoint.last_height : null;
+        if (resumeHeight != null && (lastHeight == null || resumeHeight > lastHeight)) lastHeight = resumeHeight;
+        checkpointDirty = false;
+        console.log(`[${name}] resumed ${checkpoint.raw_txs.length} tx(s) from checkpoint (lastHeight=${resumeHeight ?? "none"})`);
+      }
+    }
     if (wantBackfill && chainId) {
       const allTxs = [];
       for (const queryField of queryFields) {
@@ -1214,6 +3154,9 @@ function createAppStateCache(opts) {
             queryField,
             upstream,
             upstreamBase,
+            // from_height is inclusive: the checkpoint's last block comes
+            // back and is skipped by id below.
+            fromHeight: resumeHeight,
           });
           allTxs.push(...fetched.transactions);
           if (fetched.lastHeight != null && (lastHeight == null || fetched.lastHeight > lastHeight)) {
@@ -1225,20 +3168,29 @@ function createAppStateCache(opts) {
         }
       }
       // Re-sort across queryFields and dedup so pathological self-sends
-      // (sender == recipient) aren't double-counted.
+      // (sender == recipient) aren't double-counted, nor txs the checkpoint
+      // already replayed.
       allTxs.sort((a, b) => _appStateExtractTs(a) - _appStateExtractTs(b));
-      const seen = new Set();
       let processed = 0;
       for (const tx of allTxs) {
         const id = _appStateExtractId(tx);
-        if (id && seen.has(id)) continue;
-        if (id) seen.add(id);
+        if (id && rawTxIds.has(id)) continue;
         processTransaction(tx);
         processed++;
       }
       console.log(`[${name}] backfill complete: ${processed} tx(s) processed (lastHeight=${lastHeight ?? "none"})`);
     }
 
+    if (checkpointStore) {
+      await _saveCheckpoint();
+      const saver = setInterval(_saveCheckpoint, checkpointIntervalMs).unref();
+      stoppers.push(() => clearInterval(saver));
+      if (typeof checkpointStore.saveSync === "function") process.on("exit", _saveCheckpointSync);
+    }
+
+    if (reorgAware && nodeRpcUrl && opts.useNodeStream !== false && queryFields.includes("recipient")) {
+      console.log(`[${name}] reorgAware: polling the explorer for recipient txs instead of the node stream`);
+    }
     for (const queryField of queryFields) {
       // Direct-to-node SSE + catch-up replaces the explorer poller for the
       // `recipient` queryField when `useNodeStream` is opted in and the
@@ -1254,6 +3206,7 @@ function createAppStateCache(opts) {
         });
         if (backfillIds.length) stream.addSeenIds(backfillIds);
         stream.start();
+        stoppers.push(() => stream.close());
         continue;
       }
       const poller = createChainPoller({
@@ -1261,17 +3214,204 @@ function createAppStateCache(opts) {
         queryField,
         onTransaction: processTransaction,
         onChainReset: _onChainResetWrapped,
+        reorgAware,
+        reorgDepth: opts.reorgDepth,
+        onRollback: _onRollback,
         intervalMs,
         upstream,
         upstreamBase,
       });
       if (lastHeight != null) poller.setInitialLastHeight(lastHeight);
       if (backfillIds.length) poller.addSeenIds(backfillIds);
+      if (reorgAware) poller.addDelivered(rawTxs.filter((tx) => _txMatchesFilter(tx, { [queryField]: appPubkey })));
       poller.start();
+      stoppers.push(() => poller.stop());
+    }
+  }
+
+  // Resolves once the checkpoint (if any, and if anything changed) is saved.
+  function saveCheckpoint() {
+    return _saveCheckpoint();
+  }
+
+  // Stops polling and draining, then saves the checkpoint one last time. For
+  // the caller's shutdown path: nothing restarts it.
+  function stop() {
+    for (const stopOne of stoppers.splice(0)) stopOne();
+    return _saveCheckpoint();
+  }
+
+  return { start, stop, saveCheckpoint, handleRequest, processTransaction, getRawTransactions };
+}
+
+// ── Memo router ─────────────────────────────────────────────────────────────
+//
+// Declarative replacement for the parseMemo → check memo.app → switch on
+// memo.type → hand-check fields pattern every dapp repeats:
+//
+//   const router = createMemoRouter({
+//     app: "lastwin",
+//     appPubkey,
+//     types: {
+//       entry:  { direction: "in", minAmount: 1 },
+//       payout: { direction: "out", fields: { round: { type: "integer", min: 1 } } },
+//       set_username: { direction: "in", fields: {
+//         username: { type: "string", trim: true, minLength: 1, maxLength: 32 } } },
+//     },
+//     handlers: { entry(memo, tx) { ... }, payout(memo, tx) { ... } },
+//   });
+//   createAppStateCache({ ..., processTransaction: router.processTransaction });
+//
+// Per type:
+//   - fields      — name → spec, or a bare type string ("string", "number",
+//                   "integer", "boolean", "object", "array", "any"). Spec keys:
+//                   type, optional, min/max (numbers), minLength/maxLength
+//                   (strings, arrays), trim, pattern (RegExp), enum (array).
+//                   Fields not listed are passed through unchecked.
+//   - direction   — "in" (tx to appPubkey) or "out" (tx from appPubkey).
+//   - minAmount   — reject txs carrying less.
+//
+// Memos are read as JSON, falling back to base64url-encoded JSON. Memos that
+// don't decode, belong to another app, or (with appPubkey) sit in a tx
+// neither to nor from appPubkey are ignored; ones for this app that fail a
+// check are rejected and passed to onReject(reason, tx, memo) (default: a
+// console.warn; pass a no-op to drop them quietly). Handlers get
+// (memo, tx, rawTx): the memo with trimmed strings, and
+// { id, from, to, amount, memo, ts } normalized from the raw tx. `ts` is the
+// tx's timestamp in ms; a tx without one gets its block height, or failing
+// that its position among the txs this router has seen, so a replay orders
+// it the same way every time. processTransaction returns
+// { status: "handled"|"ignored"|"rejected", type, reason }.
+
+const MEMO_ROUTER_MAX_REJECTS = 50;
+
+function decodeMemo(m) {
+  if (m == null) return null;
+  if (typeof m === "object") return m;
+  const s = String(m).trim();
+  if (!s) return null;
+  try { return JSON.parse(s); } catch (_) {}
+  if (!/^[A-Za-z0-9_-]+={0,2}$/.test(s)) return null;
+  try { return JSON.parse(_base64urlDecodeUtf8(s)); } catch (_) { return null; }
+}
+
+function _memoFieldType(v) {
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number") return Number.isFinite(v) ? "number" : "non-finite number";
+  return v === null ? "null" : typeof v;
+}
+
+// Returns [reason, value]; reason is null when the value passes.
+function _checkMemoField(name, spec, v) {
+  if (typeof spec === "string") spec = { type: spec };
+  const type = spec.type || "any";
+  if (type === "string" && spec.trim && typeof v === "string") v = v.trim();
+  const actual = _memoFieldType(v);
+  if (type === "integer" ? !Number.isInteger(v) : type !== "any" && actual !== type)
+    return [`${name}: expected ${type}, got ${actual}`, v];
+  if (typeof v === "number") {
+    if (spec.min != null && v < spec.min) return [`${name}: below minimum ${spec.min}`, v];
+    if (spec.max != null && v > spec.max) return [`${name}: above maximum ${spec.max}`, v];
+  }
+  if (typeof v === "string" || Array.isArray(v)) {
+    if (spec.minLength != null && v.length < spec.minLength)
+      return [`${name}: shorter than ${spec.minLength}`, v];
+    if (spec.maxLength != null && v.length > spec.maxLength)
+      return [`${name}: longer than ${spec.maxLength}`, v];
+  }
+  if (spec.pattern && !(typeof v === "string" && spec.pattern.test(v)))
+    return [`${name}: does not match ${spec.pattern}`, v];
+  if (spec.enum && !spec.enum.includes(v))
+    return [`${name}: not one of ${spec.enum.join(", ")}`, v];
+  return [null, v];
+}
+
+function createMemoRouter(opts) {
+  opts = opts || {};
+  if (!opts.app) throw new Error("createMemoRouter: app is required");
+  const app = opts.app;
+  const appPubkey = opts.appPubkey || null;
+  const types = opts.types || {};
+  const handlers = opts.handlers || {};
+  const onReject = opts.onReject || ((reason, tx) => {
+    console.warn(`[${app}] rejected memo${tx && tx.id ? ` in ${tx.id}` : ""}: ${reason}`);
+  });
+  const rejected = [];
+  let position = 0; // fallback ts for txs with neither a timestamp nor a height
+
+  function normalize(rawTx) {
+    position++;
+    return {
+      id: _appStateExtractId(rawTx),
+      from: rawTx.from_pubkey || rawTx.from || rawTx.source || null,
+      to: rawTx.destination_pubkey || rawTx.to || rawTx.destination || null,
+      amount: rawTx.amount != null ? Number(rawTx.amount) : 0,
+      memo: rawTx.memo != null ? String(rawTx.memo) : null,
+      ts: _appStateExtractTs(rawTx) ||
+        (typeof rawTx.block_height === "number" ? rawTx.block_height : position),
+    };
+  }
+
+  // Decodes and validates without dispatching.
+  function parse(rawTx) {
+    if (!rawTx || typeof rawTx !== "object") return { status: "ignored", reason: "not a transaction" };
+    const tx = normalize(rawTx);
+    const memo = decodeMemo(rawTx.memo);
+    if (!memo || typeof memo !== "object" || Array.isArray(memo))
+      return { status: "ignored", tx, reason: "no JSON memo" };
+    if (memo.app !== app) return { status: "ignored", tx, reason: "other app" };
+    // Another deployment of the same app, with its own pubkey.
+    if (appPubkey && tx.to !== appPubkey && tx.from !== appPubkey)
+      return { status: "ignored", tx, reason: "other app instance" };
+
+    const type = memo.type;
+    const reject = (reason) => ({ status: "rejected", type, tx, memo, reason });
+    if (typeof type !== "string" || !Object.prototype.hasOwnProperty.call(types, type))
+      return reject(`unknown type ${JSON.stringify(type)}`);
+    const schema = types[type] || {};
+
+    if (appPubkey && schema.direction === "in" && tx.to !== appPubkey)
+      return reject("not sent to the app");
+    if (appPubkey && schema.direction === "out" && tx.from !== appPubkey)
+      return reject("not sent by the app");
+    if (schema.minAmount != null && !(tx.amount >= schema.minAmount))
+      return reject(`amount ${tx.amount} below ${schema.minAmount}`);
+
+    const out = { ...memo };
+    for (const [name, spec] of Object.entries(schema.fields || {})) {
+      const v = memo[name];
+      if (v == null) {
+        if (spec && spec.optional) continue;
+        return reject(`${name}: required`);
+      }
+      const [reason, value] = _checkMemoField(name, spec, v);
+      if (reason) return reject(reason);
+      out[name] = value;
+    }
+    return { status: "ok", type, tx, memo: out };
+  }
+
+  function processTransaction(rawTx) {
+    const r = parse(rawTx);
+    if (r.status === "rejected") {
+      rejected.push({ tx_id: r.tx.id, type: r.type, reason: r.reason, at: Date.now() });
+      if (rejected.length > MEMO_ROUTER_MAX_REJECTS) rejected.shift();
+      onReject(r.reason, r.tx, r.memo);
+      return { status: "rejected", type: r.type, reason: r.reason };
     }
+    if (r.status !== "ok") return { status: "ignored", reason: r.reason };
+    const handler = handlers[r.type];
+    if (handler) handler(r.memo, r.tx, rawTx);
+    return { status: "handled", type: r.type };
   }
 
-  return { start, handleRequest, processTransaction, getRawTransactions };
+  return {
+    app,
+    parse,
+    processTransaction,
+    // Most recent rejections, oldest first: { tx_id, type, reason, at }.
+    getRejected() { return rejected.slice(); },
+  };
 }
 
 // ── Global usernames cache ──────────────────────────────────────────────────
@@ -1290,22 +3430,6 @@ const DEFAULT_USERNAMES_PUBKEY =
   process.env.USERNAMES_PUBKEY ||
   "ut1p0p7y8ujacndc60r4a7pzk45dufdtarp6satvc0md7866633u8sqagm3az";
 
-function _usernamesParseMemo(m) {
-  if (m == null) return null;
-  try { return JSON.parse(String(m)); } catch (_) { return null; }
-}
-
-function _usernamesNormalizeTx(tx) {
-  if (!tx || typeof tx !== "object") return null;
-  return {
-    id: _appStateExtractId(tx),
-    from: tx.from_pubkey || tx.from || tx.source || null,
-    to: tx.destination_pubkey || tx.to || tx.destination || null,
-    memo: tx.memo != null ? String(tx.memo) : null,
-    ts: _appStateExtractTs(tx) || Date.now(),
-  };
-}
-
 function createUsernamesCache(opts) {
   opts = opts || {};
   const usernamesPubkey = opts.usernamesPubkey || DEFAULT_USERNAMES_PUBKEY;
@@ -1314,19 +3438,26 @@ function createUsernamesCache(opts) {
   const usernames = new Map();
   let lastSeenTs = 0;
 
-  function processTransaction(rawTx) {
-    const tx = _usernamesNormalizeTx(rawTx);
-    if (!tx || !tx.from || tx.to !== usernamesPubkey) return;
-    const memo = _usernamesParseMemo(tx.memo);
-    if (!memo || memo.app !== "usernames" || memo.type !== "set_username") return;
-    const raw = String(memo.username || "").trim();
-    if (!raw) return;
-    const prev = usernames.get(tx.from);
-    if (!prev || tx.ts >= prev.ts) {
-      usernames.set(tx.from, { name: raw, ts: tx.ts });
-    }
-    if (tx.ts > lastSeenTs) lastSeenTs = tx.ts;
-  }
+  // Anyone can write to the usernames address, so malformed memos are
+  // common and dropped quietly.
+  const router = createMemoRouter({
+    app: "usernames",
+    appPubkey: usernamesPubkey,
+    types: { set_username: { direction: "in" } },
+    handlers: {
+      set_username(memo, tx) {
+        const name = String(memo.username || "").trim();
+        if (!tx.from || !name) return;
+        const prev = usernames.get(tx.from);
+        if (!prev || tx.ts >= prev.ts) {
+          usernames.set(tx.from, { name, ts: tx.ts });
+        }
+        if (tx.ts > lastSeenTs) lastSeenTs = tx.ts;
+      },
+    },
+    onReject() {},
+  });
+  const processTransaction = router.processTransaction;
 
   function getStateResponse() {
     const map = {};
@@ -1612,13 +3743,22 @@ module.exports = {
   readJson,
   httpsJson,
   handleExplorerProxy,
+  createExplorerProxy,
   createMockApi,
+  mockApiOptions,
+  loadSeedFixture,
+  verifySignedMessage,
+  createAuthSessions,
   isExplorerConfirmed,
   createChainPoller,
   fetchAllTransactions,
   fetchGenesisAccounts,
   discoverChainInfo,
   createAppStateCache,
+  createNonceDeduper,
+  memoNonceKey,
+  decodeMemo,
+  createMemoRouter,
   createUsernamesCache,
   createNodeStatusProbe,
   walletAddTrackedOwner,
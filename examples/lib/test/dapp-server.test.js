@@ -0,0 +1,606 @@
+/**
+ * Server-side tests for lib/dapp-server.js
+ * Run: node lib/test/dapp-server.test.js
+ * Or: npm test (from examples dir)
+ *
+ * Covers the pieces that need no browser or network: everything runs
+ * in-process against local HTTP servers on ephemeral ports.
+ */
+const assert = require("assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+const {
+  createNonceDeduper,
+  memoNonceKey,
+  verifySignedMessage,
+  createAuthSessions,
+  loadSeedFixture,
+  createMockApi,
+  createExplorerProxy,
+  createAppStateCache,
+  createMemoRouter,
+} = require("../dapp-server.js");
+
+// Ed25519 keypair → { pubkey: "mockpk_<hex>", raw (32-byte public key), sign(message) → base64 }
+function mockKey() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+  const raw = Buffer.from(publicKey.export({ format: "jwk" }).x, "base64url");
+  return {
+    pubkey: "mockpk_" + raw.toString("hex"),
+    raw,
+    sign: (message) => crypto.sign(null, Buffer.from(message, "utf8"), privateKey).toString("base64"),
+  };
+}
+
+const nonceMemo = (nonce, extra) => JSON.stringify({ app: "t", ...extra, "usernode:nonce": nonce });
+
+// --- memoNonceKey ---
+assert.strictEqual(memoNonceKey({ source: "a", memo: nonceMemo("n1") }), "a:n1");
+assert.strictEqual(memoNonceKey({ source: "a", memo: JSON.stringify({ app: "t", nonce: "n1" }) }), null);
+assert.strictEqual(memoNonceKey({ source: "a", memo: "not json" }), null);
+assert.strictEqual(memoNonceKey({ source: "a" }), null);
+console.log("✓ memoNonceKey");
+
+// --- createNonceDeduper ---
+{
+  const d = createNonceDeduper();
+  assert.strictEqual(d.isDuplicate({ source: "a", memo: nonceMemo("n1") }), false);
+  assert.strictEqual(d.isDuplicate({ source: "a", memo: nonceMemo("n1") }), true);
+  assert.strictEqual(d.isDuplicate({ source: "b", memo: nonceMemo("n1") }), false, "scoped per sender");
+  assert.strictEqual(d.isDuplicate({ source: "a", memo: "{}" }), false);
+  assert.strictEqual(d.isDuplicate({ source: "a", memo: "{}" }), false, "no nonce, never a duplicate");
+  assert.strictEqual(d.size, 2);
+  d.clear();
+  assert.strictEqual(d.size, 0);
+}
+{
+  let t = 0;
+  const d = createNonceDeduper({ ttlMs: 100, now: () => t });
+  d.isDuplicate({ source: "a", memo: nonceMemo("n1") });
+  t = 50;
+  assert.strictEqual(d.isDuplicate({ source: "a", memo: nonceMemo("n1") }), true);
+  t = 101;
+  assert.strictEqual(d.isDuplicate({ source: "a", memo: nonceMemo("n1") }), false, "expired after ttlMs");
+}
+{
+  const d = createNonceDeduper({ maxEntries: 3 });
+  for (let i = 0; i < 10; i++) d.isDuplicate({ source: "a", memo: nonceMemo(`n${i}`) });
+  assert.strictEqual(d.size, 3);
+  assert.strictEqual(d.isDuplicate({ source: "a", memo: nonceMemo("n9") }), true);
+  assert.strictEqual(d.isDuplicate({ source: "a", memo: nonceMemo("n0") }), false, "oldest evicted");
+}
+console.log("✓ createNonceDeduper");
+
+// --- verifySignedMessage ---
+{
+  const alice = mockKey();
+  const mallory = mockKey();
+  const sig = alice.sign("hello");
+  const dev = { localDev: true };
+  assert.strictEqual(verifySignedMessage(alice.pubkey, "hello", sig, dev), true);
+  assert.strictEqual(verifySignedMessage(alice.pubkey, "hello", sig), false, "mock addresses only count in localDev");
+  assert.strictEqual(verifySignedMessage(alice.pubkey, "hello!", sig, dev), false);
+  assert.strictEqual(verifySignedMessage(mallory.pubkey, "hello", sig, dev), false);
+  assert.strictEqual(verifySignedMessage(alice.pubkey, "hello", "garbage", dev), false);
+  assert.strictEqual(verifySignedMessage(alice.pubkey, "hello", sig, { ...dev, publicKey: alice.raw.toString("hex") }), true);
+  assert.strictEqual(verifySignedMessage(alice.pubkey, "hello", mallory.sign("hello"), { ...dev, publicKey: mallory.raw.toString("hex") }),
+    false, "a mock address only verifies under its own key");
+
+  // A real address: the client's claimed key alone is never enough.
+  const admin = "ut1admin";
+  const forged = mallory.sign("hello");
+  assert.strictEqual(verifySignedMessage(admin, "hello", forged, { publicKey: mallory.raw.toString("base64") }), false);
+  const registry = { [admin]: alice.raw.toString("hex") };
+  const resolvePublicKey = (address) => registry[address] || null;
+  assert.strictEqual(verifySignedMessage(admin, "hello", forged, { publicKey: mallory.raw.toString("hex"), resolvePublicKey }), false);
+  assert.strictEqual(verifySignedMessage(admin, "hello", sig, { resolvePublicKey }), true);
+  assert.strictEqual(verifySignedMessage("ut1other", "hello", sig, { resolvePublicKey }), false);
+  assert.strictEqual(verifySignedMessage(admin, "hello", sig, { resolvePublicKey: () => { throw new Error("boom"); } }), false);
+}
+console.log("✓ verifySignedMessage");
+
+// --- createAuthSessions ---
+{
+  const alice = mockKey();
+  const mallory = mockKey();
+  const admin = "ut1admin";
+  const auth = createAuthSessions({
+    appName: "Test",
+    localDev: true,
+    resolvePublicKey: (address) => (address === admin ? alice.raw.toString("hex") : null),
+  });
+  const reqFor = (token) => ({ headers: { cookie: `other=1; usernode_session=${token}` } });
+
+  let c = auth.issueChallenge();
+  assert(c.message.includes(c.nonce));
+  let r = auth.completeSignIn({ nonce: c.nonce, pubkey: mallory.pubkey, signature: mallory.sign(c.message) });
+  assert.strictEqual(r.pubkey, mallory.pubkey);
+  assert.strictEqual(auth.getPubkey(reqFor(r.token)), mallory.pubkey);
+  assert.strictEqual(auth.getPubkey({ headers: {} }), null);
+  assert.deepStrictEqual(auth.completeSignIn({ nonce: c.nonce, pubkey: mallory.pubkey, signature: mallory.sign(c.message) }),
+    { error: "unknown or expired challenge" }, "challenges are single-use");
+
+  // Claiming the admin address with a key of one's own choosing is refused.
+  c = auth.issueChallenge();
+  r = auth.completeSignIn({ nonce: c.nonce, pubkey: admin, signature: mallory.sign(c.message), public_key: mallory.raw.toString("hex") });
+  assert.deepStrictEqual(r, { error: "signature does not verify" });
+  c = auth.issueChallenge();
+  r = auth.completeSignIn({ nonce: c.nonce, pubkey: admin, signature: alice.sign(c.message) });
+  assert.strictEqual(r.pubkey, admin, "the resolver's key signs the admin in");
+  c = auth.issueChallenge();
+  r = auth.completeSignIn({ nonce: c.nonce, pubkey: mallory.pubkey, signature: alice.sign(c.message) });
+  assert.ok(r.error, "a mock pubkey only signs in under its own key");
+
+  // Tickets stand in for the session once, and die with it.
+  c = auth.issueChallenge();
+  const s = auth.completeSignIn({ nonce: c.nonce, pubkey: admin, signature: alice.sign(c.message) });
+  assert.strictEqual(auth.issueTicket({ headers: {} }), null);
+  const t1 = auth.issueTicket(reqFor(s.token));
+  assert.strictEqual(auth.redeemTicket(t1.ticket), admin);
+  assert.strictEqual(auth.redeemTicket(t1.ticket), null, "tickets are single-use");
+  assert.strictEqual(auth.redeemTicket("made-up"), null);
+  assert.strictEqual(auth.redeemTicket(undefined), null);
+  const t2 = auth.issueTicket(reqFor(s.token));
+  auth.revoke(admin);
+  assert.strictEqual(auth.redeemTicket(t2.ticket), null);
+  assert.strictEqual(auth.getPubkey(reqFor(s.token)), null);
+}
+{
+  // Without a resolver or localDev nobody signs in, mock pubkeys included.
+  const alice = mockKey();
+  const auth = createAuthSessions();
+  let c = auth.issueChallenge();
+  let r = auth.completeSignIn({ nonce: c.nonce, pubkey: "ut1admin", signature: alice.sign(c.message), public_key: alice.raw.toString("base64") });
+  assert.deepStrictEqual(r, { error: "signature does not verify" });
+  c = auth.issueChallenge();
+  r = auth.completeSignIn({ nonce: c.nonce, pubkey: alice.pubkey, signature: alice.sign(c.message) });
+  assert.deepStrictEqual(r, { error: "signature does not verify" }, "a self-minted mock pubkey gets no session");
+}
+console.log("✓ createAuthSessions");
+
+// --- loadSeedFixture ---
+{
+  const now = Date.parse("2026-01-01T12:00:00Z");
+  const txs = loadSeedFixture({
+    pubkeys: { alice: "ut1alice" },
+    transactions: [
+      { from: "alice", to: "app", amount: 5, at: "now-1h", memo: { app: "t", who: "{{alice}}", at: "{{now-30s}}" } },
+      { id: "fixed", from_pubkey: "ut1raw", destination_pubkey: "app", at: "2025-12-31T00:00:00Z", memo: "hi {{alice}}" },
+      { from: "alice", to: "app" },
+    ],
+  }, { now, pubkeys: { app: "ut1app" } });
+  assert.strictEqual(txs.length, 3);
+  assert.deepStrictEqual(txs[0], {
+    id: "seed:fixture:0",
+    from_pubkey: "ut1alice",
+    destination_pubkey: "ut1app",
+    amount: 5,
+    memo: JSON.stringify({ app: "t", who: "ut1alice", at: now - 30000 }),
+    created_at: new Date(now - 3600000).toISOString(),
+  });
+  assert.strictEqual(txs[1].id, "fixed");
+  assert.strictEqual(txs[1].from_pubkey, "ut1raw", "unknown names pass through as pubkeys");
+  assert.strictEqual(txs[1].memo, "hi ut1alice");
+  assert.strictEqual(txs[1].created_at, "2025-12-31T00:00:00.000Z");
+  assert.strictEqual(txs[2].amount, 0);
+  assert.strictEqual(txs[2].memo, undefined);
+  assert.strictEqual(txs[2].created_at, new Date(now).toISOString());
+
+  // A function fixture is called with the clock and base aliases.
+  const fromFn = loadSeedFixture(({ now: t, pubkeys }) => ({
+    transactions: [{ from: pubkeys.app, to: pubkeys.app, at: new Date(t).toISOString() }],
+  }), { now, pubkeys: { app: "ut1app" } });
+  assert.strictEqual(fromFn[0].from_pubkey, "ut1app");
+
+  // A path is read from disk and names the generated ids.
+  const demo = loadSeedFixture(path.join(__dirname, "../../last-one-wins/fixtures/demo-round.json"),
+    { now, pubkeys: { lastwin_app: "ut1lastwin" } });
+  assert(demo.length > 0);
+  assert.strictEqual(demo[0].id, "seed:demo-round:0");
+  assert(demo.every((tx) => tx.destination_pubkey === "ut1lastwin"));
+
+  assert.throws(() => loadSeedFixture({}), /seed fixture: expected \{ transactions/);
+  assert.throws(() => loadSeedFixture({ transactions: [{ from: "a" }] }), /transactions\[0\]: from and to required/);
+  assert.throws(() => loadSeedFixture({ transactions: [{ from: "a", to: "b", memo: "{{nobody}}" }] }),
+    /unknown placeholder \{\{nobody\}\}/);
+  assert.throws(() => loadSeedFixture({ transactions: [{ from: "a", to: "b", at: "yesterday" }] }), /bad time "yesterday"/);
+}
+console.log("✓ loadSeedFixture");
+
+// --- createMemoRouter ---
+{
+  const handled = [];
+  const rejects = [];
+  const router = createMemoRouter({
+    app: "game",
+    appPubkey: "ut1app",
+    types: {
+      entry: { direction: "in", minAmount: 1 },
+      payout: { direction: "out", fields: { round: { type: "integer", min: 1, optional: true } } },
+      rename: { direction: "in", fields: { name: { type: "string", trim: true, minLength: 1, maxLength: 8 } } },
+      pick: { fields: { choice: { enum: ["a", "b"] }, tag: { type: "string", pattern: /^#/, optional: true } } },
+    },
+    handlers: {
+      entry: (memo, tx) => handled.push(["entry", tx.from, tx.amount]),
+      payout: (memo) => handled.push(["payout", memo.round]),
+      rename: (memo) => handled.push(["rename", memo.name]),
+      pick: (memo) => handled.push(["pick", memo.choice]),
+    },
+    onReject: (reason, tx) => rejects.push([tx.id, reason]),
+  });
+  let n = 0;
+  const tx = (memo, extra) => ({
+    tx_id: `m${++n}`,
+    source: "ut1user",
+    destination: "ut1app",
+    amount: 1,
+    memo: typeof memo === "string" ? memo : JSON.stringify(memo),
+    timestamp_ms: 1700000000000,
+    ...extra,
+  });
+
+  assert.deepStrictEqual(router.processTransaction(tx({ app: "game", type: "entry" }, { amount: 5 })),
+    { status: "handled", type: "entry" });
+  const b64 = Buffer.from(JSON.stringify({ app: "game", type: "rename", name: "  bob " })).toString("base64url");
+  assert.strictEqual(router.processTransaction(tx(b64)).status, "handled", "base64url memos decode");
+  router.processTransaction(tx({ app: "game", type: "payout", round: 3 }, { source: "ut1app", destination: "ut1user" }));
+  router.processTransaction(tx({ app: "game", type: "payout" }, { source: "ut1app", destination: "ut1user" }));
+  router.processTransaction(tx({ app: "game", type: "pick", choice: "b", tag: "#x" }));
+  assert.deepStrictEqual(handled, [
+    ["entry", "ut1user", 5],
+    ["rename", "bob"],
+    ["payout", 3],
+    ["payout", undefined],
+    ["pick", "b"],
+  ]);
+
+  // Not ours: nothing is handled and nothing is reported.
+  for (const ignored of [
+    tx("plain text"),
+    tx({ app: "other", type: "entry" }),
+    tx({ app: "game", type: "entry" }, { destination: "ut1elsewhere" }),
+    tx([1, 2]),
+  ]) {
+    assert.strictEqual(router.processTransaction(ignored).status, "ignored");
+  }
+  assert.strictEqual(router.processTransaction(null).status, "ignored");
+
+  const rejected = [
+    [tx({ app: "game", type: "nope" }), 'unknown type "nope"'],
+    [tx({ app: "game", type: "entry" }, { amount: 0 }), "amount 0 below 1"],
+    [tx({ app: "game", type: "entry" }, { source: "ut1app", destination: "ut1user" }), "not sent to the app"],
+    [tx({ app: "game", type: "payout" }), "not sent by the app"],
+    [tx({ app: "game", type: "payout", round: 1.5 }, { source: "ut1app" }), "round: expected integer, got number"],
+    [tx({ app: "game", type: "payout", round: 0 }, { source: "ut1app" }), "round: below minimum 1"],
+    [tx({ app: "game", type: "rename" }), "name: required"],
+    [tx({ app: "game", type: "rename", name: "   " }), "name: shorter than 1"],
+    [tx({ app: "game", type: "rename", name: "far too long" }), "name: longer than 8"],
+    [tx({ app: "game", type: "rename", name: 7 }), "name: expected string, got number"],
+    [tx({ app: "game", type: "pick", choice: "c" }), "choice: not one of a, b"],
+    [tx({ app: "game", type: "pick", choice: "a", tag: "x" }), "tag: does not match /^#/"],
+  ];
+  for (const [t, reason] of rejected) {
+    assert.deepStrictEqual(router.processTransaction(t), { status: "rejected", type: JSON.parse(t.memo).type, reason });
+  }
+  assert.deepStrictEqual(rejects, rejected.map(([t, reason]) => [t.tx_id, reason]));
+  assert.strictEqual(handled.length, 5);
+  assert.deepStrictEqual(router.getRejected().map((r) => r.reason), rejected.map(([, reason]) => reason));
+
+  const parsed = router.parse(tx({ app: "game", type: "rename", name: " al " }));
+  assert.strictEqual(parsed.status, "ok");
+  assert.strictEqual(parsed.memo.name, "al");
+  assert.strictEqual(handled.length, 5, "parse does not dispatch");
+
+  assert.throws(() => createMemoRouter({}), /app is required/);
+}
+{
+  // Without a timestamp, ts comes from the chain or the replay order, never
+  // the wall clock, so a replay picks the same "newest" tx.
+  const seen = [];
+  const router = createMemoRouter({
+    app: "game",
+    types: { entry: {} },
+    handlers: { entry: (memo, tx) => seen.push([tx.id, tx.ts]) },
+  });
+  const bare = (id, extra) => ({ tx_id: id, memo: JSON.stringify({ app: "game", type: "entry" }), ...extra });
+  const txs = [bare("h7", { block_height: 7 }), bare("p1"), bare("p2"), bare("stamped", { timestamp_ms: 1700000000000 })];
+  for (const t of txs) router.processTransaction(t);
+  assert.deepStrictEqual(seen.map(([id]) => id), ["h7", "p1", "p2", "stamped"]);
+  assert.strictEqual(seen[0][1], 7, "block height");
+  assert(seen[1][1] < seen[2][1], "later in the replay, later ts");
+  assert(seen[2][1] < 1e9, "not the wall clock");
+  assert.strictEqual(seen[3][1], 1700000000000);
+}
+console.log("✓ createMemoRouter");
+
+// The sections below need timers or sockets.
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// handleRequest against a bare req/res pair → { status, body }.
+function mockRequest(api, pathname) {
+  return new Promise((resolve) => {
+    let status = 200;
+    const res = {
+      writeHead(code) { status = code; },
+      end(text) { resolve({ status, body: text ? JSON.parse(text) : null }); },
+    };
+    api.handleRequest({ method: "GET", url: pathname, headers: {} }, res, pathname);
+  });
+}
+
+// Starts `handler` on an ephemeral localhost port → { server, host }.
+function listen(handler) {
+  return new Promise((resolve) => {
+    const server = http.createServer(handler);
+    server.listen(0, "127.0.0.1", () => resolve({ server, host: `127.0.0.1:${server.address().port}` }));
+  });
+}
+
+function stop(server) {
+  server.closeAllConnections();
+  return new Promise((resolve) => server.close(resolve));
+}
+
+// GET → { status, headers, body }.
+function get(host, pathname, headers) {
+  return new Promise((resolve, reject) => {
+    http.get(`http://${host}${pathname}`, { headers }, (res) => {
+      const chunks = [];
+      res.on("data", (c) => chunks.push(c));
+      res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() }));
+    }).on("error", reject);
+  });
+}
+
+// Explorer stand-in for createAppStateCache, under /api: `chain.txs` are
+// served to POST <chain>/transactions (filtered by recipient and from_height) and
+// `chain.blocks` to GET <chain>/blocks. Each request's from_height lands in
+// `chain.fromHeights`.
+function fakeExplorer(chain) {
+  chain.fromHeights = [];
+  return listen((req, res) => {
+    const pathname = new URL(req.url, "http://localhost").pathname.replace(/^\/api/, "");
+    const json = (body) => {
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+    if (pathname === "/active_chain") return json({ chain_id: chain.id });
+    if (pathname === `/${chain.id}/blocks`) return json({ items: chain.blocks || [] });
+    if (pathname !== `/${chain.id}/transactions`) {
+      res.writeHead(404);
+      return res.end();
+    }
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => {
+      const body = JSON.parse(Buffer.concat(chunks).toString() || "{}");
+      chain.fromHeights.push(body.from_height ?? null);
+      json({
+        items: chain.txs.filter((tx) => tx.destination === body.recipient &&
+          (body.from_height == null || tx.block_height >= body.from_height)),
+        has_more: false,
+      });
+    });
+  });
+}
+
+const chainTx = (id, height, extra) => ({
+  tx_id: id,
+  source: "ut1sender",
+  destination: "ut1app",
+  amount: 1,
+  memo: "{}",
+  block_height: height,
+  block_hash: `h${height}`,
+  timestamp_ms: 1700000000000 + height * 1000,
+  status: "confirmed",
+  ...extra,
+});
+
+async function run() {
+  // --- createMockApi: chain reset ---
+  {
+    const api = createMockApi({ localDev: true, blocks: { slot: 100 } });
+    await sleep(350);
+    let blocks = await mockRequest(api, "/__mock/blocks");
+    assert(blocks.body.tip_height >= 3);
+    api.resetTransactions();
+    blocks = await mockRequest(api, "/__mock/blocks");
+    assert.deepStrictEqual(blocks.body, { items: [], tip_height: 0 });
+    await sleep(150);
+    blocks = await mockRequest(api, "/__mock/blocks");
+    assert.strictEqual(blocks.body.items[blocks.body.items.length - 1].height, 1, "heights restart after a reset");
+  }
+  console.log("✓ createMockApi chain reset");
+
+  // --- createExplorerProxy ---
+  {
+    const hits = [];
+    const upstream = await listen((req, res) => {
+      hits.push(req.url);
+      const status = req.url.endsWith("/txs/missing") ? 404 : 200;
+      setTimeout(() => {
+        res.writeHead(status, { "content-type": "application/json" });
+        res.end(JSON.stringify({ path: req.url }));
+      }, 50);
+    });
+    const serve = (proxy) => listen((req, res) => {
+      const pathname = new URL(req.url, "http://localhost").pathname;
+      if (proxy.handleRequest(req, res, pathname, { upstream: upstream.host, upstreamBase: "" })) return;
+      res.writeHead(404);
+      res.end();
+    });
+
+    const front = await serve(createExplorerProxy({ cacheTtlMs: 60000, ratePerSec: 0 }));
+    const denied = await get(front.host, "/explorer-api/c1/admin/reset");
+    assert.strictEqual(denied.status, 403);
+    assert.strictEqual(hits.length, 0, "off-allowlist paths never reach upstream");
+
+    const [a, b] = await Promise.all([
+      get(front.host, "/explorer-api/c1/transactions"),
+      get(front.host, "/explorer-api/c1/transactions"),
+    ]);
+    assert.deepStrictEqual([a.status, b.status], [200, 200]);
+    assert.deepStrictEqual([a.headers["x-cache"], b.headers["x-cache"]].sort(), ["miss", "shared"]);
+    assert.strictEqual(JSON.parse(a.body).path, "/c1/transactions");
+    const c = await get(front.host, "/explorer-api/c1/transactions");
+    assert.strictEqual(c.headers["x-cache"], "hit");
+    assert.strictEqual(hits.length, 1, "concurrent and repeated requests share one upstream call");
+
+    await get(front.host, "/explorer-api/c1/txs/missing");
+    const miss = await get(front.host, "/explorer-api/c1/txs/missing");
+    assert.strictEqual(miss.status, 404);
+    assert.strictEqual(miss.headers["x-cache"], "miss", "errors are not cached");
+    await stop(front.server);
+
+    const limited = await serve(createExplorerProxy({ cacheTtlMs: 0, ratePerSec: 1, burst: 2 }));
+    assert.strictEqual((await get(limited.host, "/explorer-api/active_chain")).status, 200);
+    assert.strictEqual((await get(limited.host, "/explorer-api/active_chain")).status, 200);
+    const refused = await get(limited.host, "/explorer-api/active_chain");
+    assert.strictEqual(refused.status, 429);
+    assert.strictEqual(refused.headers["retry-after"], "1");
+    await stop(limited.server);
+
+    // Behind a reverse proxy each client gets its own bucket, keyed on the
+    // hop the proxy appended rather than whatever the client sent.
+    const proxied = await serve(createExplorerProxy({ cacheTtlMs: 0, ratePerSec: 1, burst: 1, trustProxy: true }));
+    const via = (ip, spoofed) => get(proxied.host, "/explorer-api/active_chain",
+      { "x-forwarded-for": spoofed ? `${spoofed}, ${ip}` : ip });
+    assert.strictEqual((await via("203.0.113.1")).status, 200);
+    assert.strictEqual((await via("203.0.113.2")).status, 200);
+    assert.strictEqual((await via("203.0.113.1", "198.51.100.9")).status, 429, "a spoofed first hop doesn't buy a new bucket");
+    await stop(proxied.server);
+    await stop(upstream.server);
+  }
+  console.log("✓ createExplorerProxy");
+
+  // --- createAppStateCache: checkpoint ---
+  {
+    const chain = { id: "c1", txs: [chainTx("t1", 1), chainTx("t2", 2)] };
+    const explorer = await fakeExplorer(chain);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "appstate-test-"));
+    const cacheOpts = (seen, extra) => ({
+      appPubkey: "ut1app",
+      processTransaction: (tx) => seen.push(tx.tx_id),
+      upstream: explorer.host,
+      upstreamBase: "/api",
+      intervalMs: 60000,
+      checkpoint: dir,
+      ...extra,
+    });
+    const file = path.join(dir, "appstate-ut1app.ndjson");
+
+    const seenA = [];
+    const a = createAppStateCache(cacheOpts(seenA, { checkpointIntervalMs: 50 }));
+    await a.start();
+    assert.deepStrictEqual(seenA, ["t1", "t2"]);
+    const afterBackfill = fs.readFileSync(file, "utf8");
+    assert.strictEqual(afterBackfill.trim().split("\n").length, 3, "header + one line per tx");
+    a.processTransaction(chainTx("t3", 3));
+    await sleep(150);
+    const afterTick = fs.readFileSync(file, "utf8");
+    assert(afterTick.startsWith(afterBackfill), "a periodic save only appends");
+    assert.strictEqual(afterTick.trim().split("\n").length, 4);
+
+    // The next start replays the checkpoint and backfills from its height.
+    chain.txs.push(chainTx("t3", 3), chainTx("t4", 4));
+    chain.fromHeights.length = 0;
+    const seenB = [];
+    const b = createAppStateCache(cacheOpts(seenB));
+    await b.start();
+    assert.deepStrictEqual(seenB, ["t1", "t2", "t3", "t4"]);
+    assert.strictEqual(chain.fromHeights[0], 3);
+
+    // The cache leaves SIGTERM to the server: its own handler runs, and
+    // cache.stop() saves what the timer hasn't yet.
+    const dir2 = fs.mkdtempSync(path.join(os.tmpdir(), "appstate-test-"));
+    const child = spawn(process.execPath, ["-e", `
+      const { createAppStateCache } = require(${JSON.stringify(path.join(__dirname, "../dapp-server.js"))});
+      const cache = createAppStateCache({
+        appPubkey: "ut1app", processTransaction() {}, upstream: ${JSON.stringify(explorer.host)},
+        upstreamBase: "/api", intervalMs: 60000, checkpoint: ${JSON.stringify(dir2)},
+      });
+      process.once("SIGTERM", () => {
+        process.stdout.write("host shutdown\\n");
+        cache.stop().then(() => process.exit(7));
+      });
+      cache.start().then(() => {
+        cache.processTransaction(${JSON.stringify(chainTx("t5", 5))});
+        process.stdout.write("ready\\n");
+      });
+    `], { stdio: ["ignore", "pipe", "inherit"] });
+    let out = "";
+    await new Promise((resolve) => child.stdout.on("data", (c) => {
+      out += c;
+      if (out.includes("ready\n")) resolve();
+    }));
+    child.kill("SIGTERM");
+    const code = await new Promise((resolve) => child.on("exit", resolve));
+    assert.strictEqual(code, 7, "the host's handler decides when and how to exit");
+    assert(out.includes("host shutdown\n"));
+    const saved = fs.readFileSync(path.join(dir2, "appstate-ut1app.ndjson"), "utf8").trim().split("\n");
+    assert.deepStrictEqual(saved.slice(1).map((line) => JSON.parse(line).tx_id), ["t1", "t2", "t3", "t4", "t5"]);
+
+    await Promise.all([a.stop(), b.stop()]);
+    for (const d of [dir, dir2]) fs.rmSync(d, { recursive: true, force: true });
+  }
+  console.log("✓ createAppStateCache checkpoint");
+
+  // --- createAppStateCache: reorg rollback ---
+  {
+    const chain = {
+      id: "c2",
+      txs: [chainTx("r1", 1), chainTx("r2", 2)],
+      blocks: [{ height: 2, hash: "h2" }, { height: 1, hash: "h1" }],
+    };
+    const explorer = await fakeExplorer(chain);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "appstate-test-"));
+    const cacheOpts = (log, extra) => ({
+      appPubkey: "ut1app",
+      processTransaction: (tx) => log.push(tx.tx_id),
+      onChainReset: () => log.push("chain reset"),
+      upstream: explorer.host,
+      upstreamBase: "/api",
+      checkpoint: dir,
+      ...extra,
+    });
+
+    assert.throws(() => createAppStateCache(cacheOpts([], { reorgAware: true })), /reorgAware needs onRollback/);
+
+    const first = createAppStateCache(cacheOpts([], { intervalMs: 60000 }));
+    await first.start();
+    await first.stop();
+
+    // r2 comes back from the checkpoint, then its block is replaced.
+    const log = [];
+    const cache = createAppStateCache(cacheOpts(log, {
+      intervalMs: 100,
+      reorgAware: true,
+      onRollback: (toHeight, revoked) => log.push(`rollback ${toHeight} [${revoked.map((tx) => tx.tx_id)}]`),
+    }));
+    await cache.start();
+    await sleep(50);
+    assert.deepStrictEqual(log, ["r1", "r2"]);
+    chain.txs[1] = chainTx("r2b", 2, { block_hash: "h2b" });
+    chain.blocks[0] = { height: 2, hash: "h2b" };
+    for (let i = 0; i < 30 && !log.includes("r2b"); i++) await sleep(100);
+    assert.deepStrictEqual(log, ["r1", "r2", "rollback 1 [r2]", "r1", "r2b"]);
+    assert.deepStrictEqual(cache.getRawTransactions().map((tx) => tx.tx_id), ["r1", "r2b"]);
+    await cache.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  console.log("✓ createAppStateCache reorg rollback");
+
+  console.log("\nAll tests passed.");
+  // Their pollers would otherwise keep the process alive.
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
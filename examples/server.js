@@ -21,7 +21,7 @@ const http = require("http");
 const fs = require("fs");
 const path = require("path");
 const crypto = require("crypto");
-const { loadEnvFile, handleExplorerProxy, createMockApi, createAppStateCache, createUsernamesCache, createNodeStatusProbe, fetchAllTransactions, fetchGenesisAccounts, discoverChainInfo, httpsJson, resolvePath } = require("./lib/dapp-server");
+const { loadEnvFile, handleExplorerProxy, createMockApi, mockApiOptions, createAppStateCache, createUsernamesCache, createNodeStatusProbe, createAuthSessions, fetchAllTransactions, fetchGenesisAccounts, discoverChainInfo, httpsJson, resolvePath } = require("./lib/dapp-server");
 
 loadEnvFile();
 const createEngine = require("./falling-sands/engine");
@@ -31,8 +31,17 @@ const createEcho = require("./echo/echo-logic");
 
 // ── CLI flags ────────────────────────────────────────────────────────────────
 const LOCAL_DEV = process.argv.includes("--local-dev");
-const OM_TEST_MARKET = process.argv.includes("-omt");
+const OM_TEST_MARKET = process.argv.includes("-omt"); // = --seed opinion-market/fixtures/test-market.json
+// --mock-ledger / --mock-faucet N: track mock balances and refuse overdrafts
+// --mock-store <file>: persist mock transactions across restarts (NDJSON)
+// --seed <fixture>: load a scenario fixture into the mock store at startup
+// --faults drop=0.1,reject=0.05,…: inject send/listing faults (also /__mock/faults)
+// --mock-blocks [slot=2000,depth=2,orphan=0.05]: simulated blocks, heights and confirmations
+const MOCK_API_OPTIONS = mockApiOptions(process.argv);
 const PORT = parseInt(process.env.PORT, 10) || 8000;
+// CHECKPOINT_DIR: persist each app-state cache there so a restart only
+// backfills the txs since the last checkpoint (see createAppStateCache).
+const CHECKPOINT_DIR = process.env.CHECKPOINT_DIR ? path.resolve(process.env.CHECKPOINT_DIR) : null;
 
 // -t N or --tx-delay N: transaction delay in seconds (mock API)
 let TX_DELAY_MS = null;
@@ -57,6 +66,14 @@ const SANDS_APP_PUBKEY =
   process.env.SANDS_APP_PUBKEY ||
   "ut1r96pdaa7h2k4vf62w3w598fyrelv9wru4t53qtgswgfzpsvz77msj588uu";
 
+// Pubkey allowed to send the falling-sands WebSocket `reset` command once
+// signed in (usernode.signIn). Anyone may reset in --local-dev.
+const SANDS_ADMIN_PUBKEY = process.env.SANDS_ADMIN_PUBKEY || "";
+// Its raw Ed25519 public key (hex or base64). Sign-in only trusts keys the
+// server knows, so the admin can't sign in without it (mock pubkeys carry
+// their own key).
+const SANDS_ADMIN_PUBLIC_KEY = process.env.SANDS_ADMIN_PUBLIC_KEY || "";
+
 // ── Static file paths (with fallbacks for local dev vs Docker) ───────────────
 const BRIDGE_PATH = resolvePath(path.join(__dirname, "usernode-bridge.js"), path.join(__dirname, "..", "usernode-bridge.js"));
 const USERNAMES_PATH = resolvePath(path.join(__dirname, "usernode-usernames.js"), path.join(__dirname, "..", "usernode-usernames.js"));
@@ -119,51 +136,39 @@ if (!LOCAL_DEV) {
 }
 
 // ── Mock API ─────────────────────────────────────────────────────────────────
+// Fixtures (--seed, and -omt's Opinion Market test market) can name the
+// app pubkeys by these aliases.
+const OMT_FIXTURE = path.join(__dirname, "opinion-market", "fixtures", "test-market.json");
 const mockApi = createMockApi({
   localDev: LOCAL_DEV,
   delayMs: TX_DELAY_MS ?? 5000,
   delayOverrides: TX_DELAY_MS == null ? { [SANDS_APP_PUBKEY]: 3000 } : {},
+  ...MOCK_API_OPTIONS,
+  seed: [MOCK_API_OPTIONS.seed, OM_TEST_MARKET && OMT_FIXTURE].filter(Boolean),
+  seedPubkeys: {
+    om_app: OM_APP_PUBKEY,
+    lastwin_app: LASTWIN_APP_PUBKEY,
+    sands_app: SANDS_APP_PUBKEY,
+    echo_app: ECHO_APP_PUBKEY,
+  },
 });
 
-// ── Seed test market for Opinion Market (--local-dev -omt) ───────────────────
-if (LOCAL_DEV && OM_TEST_MARKET) {
-  const crypto = require("crypto");
-  const TEST_USER = "ut1_omt_test_user_000000000000000000000000000000000000000000000000";
-  const now = new Date();
-  const joinTx = {
-    id: crypto.randomUUID(),
-    from_pubkey: TEST_USER,
-    destination_pubkey: OM_APP_PUBKEY,
-    amount: 1,
-    memo: JSON.stringify({ app: "opinion-market", type: "join" }),
-    created_at: new Date(now.getTime() - 2000).toISOString(),
-  };
-  mockApi.transactions.push(joinTx);
-  const surveyTx = {
-    id: crypto.randomUUID(),
-    from_pubkey: TEST_USER,
-    destination_pubkey: OM_APP_PUBKEY,
-    amount: 1,
-    memo: JSON.stringify({
-      app: "opinion-market",
-      type: "create_survey",
-      survey: {
-        id: "test-market",
-        title: "Test Market",
-        question: "Which option will win?",
-        active_duration_ms: 180000,
-        allow_custom_options: false,
-        options: [
-          { key: "yes", label: "Yes" },
-          { key: "no", label: "No" },
-          { key: "maybe", label: "Maybe" },
-        ],
-      },
-    }),
-    created_at: new Date(now.getTime() - 1000).toISOString(),
-  };
-  mockApi.transactions.push(surveyTx);
-  console.log("[omt] Injected test market: \"Test Market\" (3 options, 3min) from", TEST_USER.slice(0, 20) + "…");
+// ── Sign-in sessions (gate admin-only commands) ──────────────────────────────
+const auth = createAuthSessions({
+  appName: "Usernode examples",
+  secure: !LOCAL_DEV,
+  localDev: LOCAL_DEV,
+  resolvePublicKey: (address) =>
+    address === SANDS_ADMIN_PUBKEY && SANDS_ADMIN_PUBLIC_KEY ? SANDS_ADMIN_PUBLIC_KEY : null,
+});
+
+// The socket's own cookie covers a client that signed in before connecting;
+// cmd.ticket (POST /__usernode/auth/ticket) one that signed in afterwards.
+function isSandsAdmin(req, cmd) {
+  if (LOCAL_DEV) return true;
+  if (!SANDS_ADMIN_PUBKEY) return false;
+  return auth.getPubkey(req) === SANDS_ADMIN_PUBKEY ||
+    auth.redeemTicket(cmd && cmd.ticket) === SANDS_ADMIN_PUBKEY;
 }
 
 // ── Falling-sands engine (async init — discovers chain genesis) ──────────────
@@ -199,6 +204,7 @@ let sandsCache = null;
     chainId: chainInfo.chainId,
     epoch: chainInfo.genesisTimestampMs,
     replayTxs,
+    authorizeReset: isSandsAdmin,
   };
   if (process.env.SNAPSHOT_DIR) {
     const dir = path.resolve(process.env.SNAPSHOT_DIR);
@@ -268,6 +274,7 @@ const omCache = createAppStateCache({
   },
   localDev: LOCAL_DEV,
   mockTransactions: LOCAL_DEV ? mockApi.transactions : null,
+  checkpoint: CHECKPOINT_DIR,
   nodeRpcUrl: LASTWIN_NODE_RPC_URL,
 });
 omCache.start();
@@ -296,7 +303,15 @@ const lastwinCache = createAppStateCache({
   },
   localDev: LOCAL_DEV,
   mockTransactions: LOCAL_DEV ? mockApi.transactions : null,
+  checkpoint: CHECKPOINT_DIR,
   nodeRpcUrl: LASTWIN_NODE_RPC_URL,
+  // Payouts follow the last entry, so a reorged-away entry must be undone.
+  // Entries then come from explorer polling rather than the node stream.
+  reorgAware: true,
+  onRollback(toHeight, revokedTxs) {
+    console.log(`[lastwin] rollback to height ${toHeight} revoked ${revokedTxs.length} tx(s), rebuilding game state`);
+    lastOneWins.rollback();
+  },
 });
 lastwinCache.start();
 
@@ -324,6 +339,7 @@ const echoCache = createAppStateCache({
   },
   localDev: LOCAL_DEV,
   mockTransactions: LOCAL_DEV ? mockApi.transactions : null,
+  checkpoint: CHECKPOINT_DIR,
   nodeRpcUrl: ECHO_NODE_RPC_URL,
 });
 echoCache.start();
@@ -454,6 +470,9 @@ const server = http.createServer((req, res) => {
     return send(res, 200, { "Content-Type": "application/json", "Cache-Control": "no-store", "Access-Control-Allow-Origin": "*" }, body);
   }
 
+  // Sign-in sessions
+  if (auth.handleRequest(req, res, pathname)) return;
+
   // Mock API
   if (mockApi.handleRequest(req, res, pathname)) return;
 
@@ -467,7 +486,7 @@ const server = http.createServer((req, res) => {
   }
 
   // Explorer proxy
-  if (handleExplorerProxy(req, res, pathname)) return;
+  if (handleExplorerProxy(req, res, pathname, { mockApi })) return;
 
   // Static routes
   const staticRoutes = {
@@ -524,6 +543,20 @@ const server = http.createServer((req, res) => {
   send(res, 404, { "Content-Type": "text/plain" }, "Not found");
 });
 
+// ── Shutdown ─────────────────────────────────────────────────────────────────
+// The caches install no signal handlers of their own. With checkpoints on,
+// stop them on SIGTERM / SIGINT (which saves what the timer hasn't yet),
+// then exit; a store that never settles doesn't hold the exit up.
+if (CHECKPOINT_DIR) {
+  for (const signal of ["SIGTERM", "SIGINT"]) {
+    process.once(signal, () => {
+      console.log(`\n${signal}: saving checkpoints`);
+      setTimeout(() => process.exit(0), 5000).unref();
+      Promise.allSettled([omCache.stop(), lastwinCache.stop(), echoCache.stop()]).then(() => process.exit(0));
+    });
+  }
+}
+
 // ── Start ────────────────────────────────────────────────────────────────────
 server.listen(PORT, "0.0.0.0", () => {
   console.log(`\nCombined examples server running at http://localhost:${PORT}`);
@@ -536,8 +569,20 @@ server.listen(PORT, "0.0.0.0", () => {
   if (LOCAL_DEV && TX_DELAY_MS != null) {
     console.log(`  Mock tx delay: ${TX_DELAY_MS / 1000}s (-t / --tx-delay)`);
   }
+  if (LOCAL_DEV && MOCK_API_OPTIONS.storePath) {
+    console.log(`  Mock store: ${MOCK_API_OPTIONS.storePath} (--mock-store)`);
+  }
+  if (LOCAL_DEV && mockApi.ledger) {
+    console.log(`  Mock ledger: faucet ${mockApi.ledger.faucet} per new pubkey (--mock-ledger / --mock-faucet)`);
+  }
+  if (LOCAL_DEV && MOCK_API_OPTIONS.faults) {
+    console.log(`  Mock faults: ${JSON.stringify(mockApi.getFaults())} (--faults, /__mock/faults)`);
+  }
+  if (LOCAL_DEV && MOCK_API_OPTIONS.seed) {
+    console.log(`  Mock seed: ${MOCK_API_OPTIONS.seed} (--seed)`);
+  }
   if (LOCAL_DEV && OM_TEST_MARKET) {
-    console.log(`  Opinion Market test market: INJECTED (-omt)`);
+    console.log(`  Opinion Market test market: SEEDED (-omt)`);
   }
   console.log("");
 });
@@ -4,28 +4,33 @@
  *
  * Run:
  *   node server.js
+ *   node server.js --local-dev                  # mock transaction API
+ *   node server.js --local-dev --mock-ledger    # + mock balances (1000 per new pubkey)
+ *   node server.js --local-dev --mock-faucet N  # + mock balances (N per new pubkey)
+ *   node server.js --local-dev --mock-store F   # + persist mock txs to F (NDJSON)
+ *   node server.js --local-dev --seed F         # + load scenario fixture F (JSON/JS) at startup
+ *   node server.js --local-dev --faults drop=0.1,jitter=3000  # + inject send/listing faults
+ *   node server.js --local-dev --mock-blocks [slot=2000,depth=2,orphan=0.05]  # + simulated blocks
+ *
+ * The mock API, its admin console (/__mock/admin) and the /explorer-api/*
+ * proxy come from createMockApi and handleExplorerProxy in
+ * examples/lib/dapp-server.js, so this server and the examples take the same
+ * flags and answer the same way. With --local-dev, /explorer-api/* is
+ * answered from the mock store instead of the remote explorer.
  */
 
 const http = require("http");
-const https = require("https");
 const fs = require("fs");
 const path = require("path");
-const crypto = require("crypto");
+const {
+  loadEnvFile,
+  handleExplorerProxy,
+  createMockApi,
+  mockApiOptions,
+} = require("./examples/lib/dapp-server");
 
 // Load .env from repo root (KEY=VALUE, does not overwrite existing env vars).
-(function loadDotEnv() {
-  const envPath = path.join(__dirname, ".env");
-  if (!fs.existsSync(envPath)) return;
-  for (const line of fs.readFileSync(envPath, "utf8").split("\n")) {
-    const trimmed = line.trim();
-    if (!trimmed || trimmed.startsWith("#")) continue;
-    const eq = trimmed.indexOf("=");
-    if (eq < 1) continue;
-    const key = trimmed.slice(0, eq).trim();
-    const val = trimmed.slice(eq + 1).trim().replace(/^["']|["']$/g, "");
-    if (process.env[key] == null) process.env[key] = val;
-  }
-})();
+loadEnvFile(path.join(__dirname, ".env"));
 
 const PORT = Number(process.env.PORT) || 8000;
 const INDEX_PATH = path.join(__dirname, "index.html");
@@ -34,35 +39,13 @@ const USERNAMES_PATH = path.join(__dirname, "usernode-usernames.js");
 const LOADING_PATH = path.join(__dirname, "usernode-loading.js");
 const ENABLE_MOCK_API = process.argv.includes("--local-dev");
 
-/** @type {Array<{id:string, from_pubkey:string, destination_pubkey:string, amount:any, memo?:string, created_at:string}>} */
-const mockTransactions = [];
+const mockApi = createMockApi({ localDev: ENABLE_MOCK_API, ...mockApiOptions(process.argv) });
 
 function send(res, statusCode, headers, body) {
   res.writeHead(statusCode, headers);
   res.end(body);
 }
 
-function readJson(req) {
-  return new Promise((resolve, reject) => {
-    let data = "";
-    req.on("data", (chunk) => {
-      data += chunk;
-      if (data.length > 1_000_000) {
-        reject(new Error("Body too large"));
-        req.destroy();
-      }
-    });
-    req.on("end", () => {
-      if (!data) return resolve({});
-      try {
-        resolve(JSON.parse(data));
-      } catch (e) {
-        reject(e);
-      }
-    });
-  });
-}
-
 function contentTypeFor(filePath) {
   const ext = path.extname(filePath).toLowerCase();
   switch (ext) {
@@ -111,7 +94,6 @@ function safeResolveFromRoot(rootDir, urlPathname) {
   if (!abs.startsWith(rootAbs + path.sep) && abs !== rootAbs) return null;
   return abs;
 }
-
 const server = http.createServer((req, res) => {
   if (req.method !== "GET" && req.method !== "HEAD" && req.method !== "POST") {
     return send(res, 405, { "content-type": "text/plain" }, "Method Not Allowed");
@@ -200,205 +182,10 @@ const server = http.createServer((req, res) => {
     });
   }
 
-  if (pathname === "/__mock/enabled") {
-    if (!ENABLE_MOCK_API) {
-      return send(res, 404, { "content-type": "text/plain" }, "Not Found");
-    }
-    return send(res, 200, { "content-type": "application/json", "cache-control": "no-store" },
-      JSON.stringify({ enabled: true }));
-  }
-
-  if (pathname === "/__mock/sendTransaction") {
-    if (!ENABLE_MOCK_API) {
-      return send(res, 404, { "content-type": "text/plain" }, "Not Found");
-    }
-    if (req.method !== "POST") {
-      return send(
-        res,
-        405,
-        { "content-type": "text/plain" },
-        "Method Not Allowed"
-      );
-    }
-    return void readJson(req)
-      .then((body) => {
-        const from_pubkey = String(body.from_pubkey || "").trim();
-        const destination_pubkey = String(body.destination_pubkey || "").trim();
-        const amount = body.amount;
-        const memo = body.memo == null ? undefined : String(body.memo);
-
-        if (!from_pubkey || !destination_pubkey) {
-          return send(
-            res,
-            400,
-            { "content-type": "application/json" },
-            JSON.stringify({ error: "from_pubkey and destination_pubkey required" })
-          );
-        }
-
-        const memoLen = memo != null ? memo.length : 0;
-        const memoType = (() => {
-          try { const m = JSON.parse(memo); return m && m.type ? m.type : "?"; } catch (_) { return "?"; }
-        })();
-        if (memoLen > 1024) {
-          console.warn(`⚠️  MEMO WARNING: ${memoLen} chars (exceeds 1024) — type=${memoType}, from=${from_pubkey.slice(0, 12)}…`);
-        } else {
-          console.log(`📝 memo: ${memoLen} chars — type=${memoType}, from=${from_pubkey.slice(0, 12)}…`);
-        }
-
-        const tx = {
-          id: crypto.randomUUID(),
-          from_pubkey,
-          destination_pubkey,
-          amount,
-          memo,
-          created_at: new Date().toISOString(),
-        };
-        // Simulate network / mempool / indexing latency in local-dev mode so dapps
-        // can exercise "wait until visible in getTransactions" flows.
-        setTimeout(() => {
-          mockTransactions.push(tx);
-        }, 5000);
-
-        return send(
-          res,
-          200,
-          { "content-type": "application/json" },
-          JSON.stringify({ queued: true, tx })
-        );
-      })
-      .catch((e) => {
-        return send(
-          res,
-          400,
-          { "content-type": "application/json" },
-          JSON.stringify({ error: `Invalid JSON: ${e.message}` })
-        );
-      });
-  }
-
-  if (pathname === "/__mock/getTransactions") {
-    if (!ENABLE_MOCK_API) {
-      return send(res, 404, { "content-type": "text/plain" }, "Not Found");
-    }
-    if (req.method !== "POST") {
-      return send(
-        res,
-        405,
-        { "content-type": "text/plain" },
-        "Method Not Allowed"
-      );
-    }
-    return void readJson(req)
-      .then((body) => {
-        const filterOptions = body.filterOptions || {};
-        const owner_pubkey = String(body.owner_pubkey || filterOptions.account || "").trim();
-        const limit =
-          typeof filterOptions.limit === "number" ? filterOptions.limit : 50;
-        const cursor = filterOptions.cursor || body.cursor || null;
-
-        const filtered = mockTransactions.filter((tx) => {
-          if (!owner_pubkey) return true;
-          return tx.from_pubkey === owner_pubkey || tx.destination_pubkey === owner_pubkey;
-        });
-
-        const reversed = filtered.slice().reverse();
-        let startIdx = 0;
-        if (cursor != null) {
-          try {
-            startIdx = parseInt(Buffer.from(String(cursor), "base64").toString("utf8"), 10);
-            if (!Number.isFinite(startIdx) || startIdx < 0) startIdx = 0;
-          } catch (_) { startIdx = 0; }
-        }
-
-        const page = reversed.slice(startIdx, startIdx + limit);
-        const nextIdx = startIdx + limit;
-        const hasMore = nextIdx < reversed.length;
-        const nextCursor = hasMore
-          ? Buffer.from(String(nextIdx)).toString("base64")
-          : null;
-
-        return send(
-          res,
-          200,
-          { "content-type": "application/json" },
-          JSON.stringify({ items: page, has_more: hasMore, next_cursor: nextCursor })
-        );
-      })
-      .catch((e) => {
-        return send(
-          res,
-          400,
-          { "content-type": "application/json" },
-          JSON.stringify({ error: `Invalid JSON: ${e.message}` })
-        );
-      });
-  }
-
-  // ── Explorer API proxy (/explorer-api/*) ──────────────────────────────
-  // Proxies requests to the remote block explorer to avoid CORS issues
-  // when the page is loaded inside a WebView or from a different origin.
-  const EXPLORER_PROXY_PREFIX = "/explorer-api/";
-  const EXPLORER_UPSTREAM = process.env.EXPLORER_UPSTREAM || "alpha1.usernodelabs.org";
-  const EXPLORER_UPSTREAM_BASE = process.env.EXPLORER_UPSTREAM_BASE != null
-    ? process.env.EXPLORER_UPSTREAM_BASE
-    : "/api";
-
-  if (pathname.startsWith(EXPLORER_PROXY_PREFIX)) {
-    const upstreamPath =
-      EXPLORER_UPSTREAM_BASE + "/" + pathname.slice(EXPLORER_PROXY_PREFIX.length);
-    const proto = EXPLORER_UPSTREAM.match(/^(localhost|127\.|192\.|10\.|172\.)/) ? "http" : "https";
-    const upstreamUrl = new URL(`${proto}://${EXPLORER_UPSTREAM}${upstreamPath}`);
-
-    return void (async () => {
-      try {
-        let bodyBuf = null;
-        if (req.method === "POST") {
-          const chunks = [];
-          for await (const chunk of req) {
-            chunks.push(chunk);
-            if (chunks.reduce((s, c) => s + c.length, 0) > 1_000_000) {
-              return send(res, 413, { "content-type": "text/plain" }, "Body too large");
-            }
-          }
-          bodyBuf = Buffer.concat(chunks);
-        }
-
-        const transport = proto === "https" ? https : http;
-        const proxyReq = transport.request(
-          upstreamUrl,
-          {
-            method: req.method,
-            headers: {
-              "content-type": req.headers["content-type"] || "application/json",
-              accept: "application/json",
-              ...(bodyBuf ? { "content-length": bodyBuf.length } : {}),
-            },
-          },
-          (proxyRes) => {
-            const resHeaders = {
-              "content-type": proxyRes.headers["content-type"] || "application/json",
-              "access-control-allow-origin": "*",
-            };
-            res.writeHead(proxyRes.statusCode || 502, resHeaders);
-            proxyRes.pipe(res);
-          }
-        );
-
-        proxyReq.on("error", (err) => {
-          console.error(`Explorer proxy error: ${err.message}`);
-          send(res, 502, { "content-type": "application/json" },
-            JSON.stringify({ error: `Proxy error: ${err.message}` }));
-        });
-
-        if (bodyBuf) proxyReq.write(bodyBuf);
-        proxyReq.end();
-      } catch (err) {
-        send(res, 502, { "content-type": "application/json" },
-          JSON.stringify({ error: `Proxy error: ${err.message}` }));
-      }
-    })();
-  }
+  // /__mock/* (404 without --local-dev) and /explorer-api/*, the latter
+  // answered from the mock store in --local-dev.
+  if (mockApi.handleRequest(req, res, pathname)) return;
+  if (handleExplorerProxy(req, res, pathname, { mockApi })) return;
 
   // Static file serving:
   // - "/" serves index.html
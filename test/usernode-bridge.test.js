@@ -0,0 +1,293 @@
+/**
+ * Tests for usernode-bridge.js, run against a stand-in browser window.
+ * Run: node test/usernode-bridge.test.js
+ * Or: make test (from the repo root)
+ */
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const BRIDGE_SRC = fs.readFileSync(path.join(__dirname, "..", "usernode-bridge.js"), "utf8");
+const tick = () => new Promise((r) => setTimeout(r, 0));
+
+// Loads a fresh copy of the bridge. `store` backs localStorage, so two
+// windows sharing one play two tabs of the same origin. `setup(win)` runs
+// before the bridge does (native channel, fetch, ...). "message" listeners
+// are kept on win.listeners; the outbox heartbeat interval never runs.
+function loadBridge(setup, store) {
+  store = store || {};
+  const listeners = [];
+  const win = {
+    localStorage: {
+      getItem: (k) => (k in store ? store[k] : null),
+      setItem: (k, v) => { store[k] = String(v); },
+      removeItem: (k) => { delete store[k]; },
+    },
+    console: { log() {}, warn() {}, error: console.error },
+    setTimeout, clearTimeout, setInterval: () => 0, clearInterval() {},
+    crypto: globalThis.crypto, TextEncoder, TextDecoder,
+    btoa: (s) => Buffer.from(s, "binary").toString("base64"),
+    atob: (s) => Buffer.from(s, "base64").toString("binary"),
+    addEventListener: (type, fn) => { if (type === "message") listeners.push(fn); },
+    document: {
+      readyState: "complete",
+      addEventListener() {},
+      getElementById: () => null,
+    },
+    listeners,
+  };
+  win.window = win;
+  win.parent = win;
+  if (setup) setup(win);
+  vm.createContext(win);
+  vm.runInContext(BRIDGE_SRC, win);
+  return win;
+}
+
+// A top frame inside the native app; every message the host gets lands in
+// win.sent.
+function nativeWindow(store) {
+  return loadBridge((win) => {
+    win.sent = [];
+    win.Usernode = { postMessage: (json) => win.sent.push(JSON.parse(json)) };
+  }, store);
+}
+
+// Answers fetches from `routes` ({ "/path": body | (req) => body }), 404 otherwise.
+function fakeFetch(routes, calls) {
+  return (url, init) => {
+    const req = { url, body: init && init.body ? JSON.parse(init.body) : null };
+    if (calls) calls.push(req);
+    const route = routes[url];
+    if (!route) return Promise.resolve({ ok: false, status: 404, text: () => Promise.resolve("") });
+    return Promise.resolve(typeof route === "function" ? route(req) : route).then((body) => ({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve(body),
+      text: () => Promise.resolve(JSON.stringify(body)),
+    }));
+  };
+}
+
+async function run() {
+  // --- native error classification ---
+  {
+    const win = nativeWindow();
+    const failWith = async (error) => {
+      const pending = win.signMessage("hello");
+      const { id } = win.sent[win.sent.length - 1];
+      win.__usernodeResolve(id, null, error);
+      return pending.then(() => assert.fail("expected a rejection"), (err) => err);
+    };
+    const { USER_REJECTED, NATIVE_ERROR } = win.usernode.UsernodeError.codes;
+    const cases = [
+      ["User rejected the request", USER_REJECTED],
+      ["Cancelled by user", USER_REJECTED],
+      ["cancel", USER_REJECTED],
+      ["Permission denied", USER_REJECTED],
+      ["User DECLINED signing", USER_REJECTED],
+      ["Deny", USER_REJECTED],
+      ["Insufficient balance", NATIVE_ERROR],
+      ["Wallet is locked", NATIVE_ERROR],
+      ["unrejectable nonce", NATIVE_ERROR],
+    ];
+    for (const [message, code] of cases) {
+      const err = await failWith(message);
+      assert(err instanceof win.usernode.UsernodeError, message);
+      assert.strictEqual(err.code, code, message);
+      assert.strictEqual(err.message, message);
+      assert.deepStrictEqual({ ...err.details }, { transport: "native", method: "signMessage" });
+    }
+    // A relay refusal keeps its own code, whatever the wording.
+    const pending = win.signMessage("hello");
+    win.__usernodeResolve(win.sent[win.sent.length - 1].id, null, "Relay request refused: denied", "RELAY_DENIED");
+    const err = await pending.catch((e) => e);
+    assert.strictEqual(err.code, "RELAY_DENIED");
+  }
+  console.log("✓ native error classification");
+
+  // --- relay origin policy ---
+  {
+    const win = nativeWindow();
+    const [onMessage] = win.listeners;
+    assert(onMessage, "a native top frame listens for relayed requests");
+    // Posts `data` from a child frame at `origin`; resolves with whatever
+    // the bridge posted back to it.
+    const fromChild = async (origin, data) => {
+      const replies = [];
+      const before = win.sent.length;
+      onMessage({ origin, data, source: { postMessage: (msg, target) => replies.push({ msg, target }) } });
+      await tick();
+      await tick();
+      return { replies, forwarded: win.sent.slice(before) };
+    };
+    const request = (method, extra) => ({ __usernode_relay: "request", id: "c1", method, args: {}, ...extra });
+    const denied = ({ replies, forwarded }) =>
+      forwarded.length === 0 && replies.length === 1 && replies[0].msg.code === "RELAY_DENIED";
+    const forwarded = ({ replies, forwarded }) => replies.length === 0 && forwarded.length === 1;
+
+    // Default-deny: nothing is relayed until the host lists an origin.
+    assert(denied(await fromChild("https://app.example", request("getNodeAddress"))));
+    assert.strictEqual((await fromChild("https://app.example", { __usernode_relay: "discover" })).replies.length, 0);
+
+    win.usernode.configureRelay({
+      allowedOrigins: ["https://app.example", "https://*.games.example"],
+      allowedMethods: { "https://app.example": ["signMessage", "getNodeAddress"], "*": ["getNodeAddress"] },
+    });
+    const ack = await fromChild("https://app.example", { __usernode_relay: "discover" });
+    assert.deepStrictEqual(ack.replies.map((r) => [r.msg.__usernode_relay, r.target]), [["discover-ack", "https://app.example"]]);
+
+    const ok = await fromChild("https://app.example", request("signMessage", { args: { message: "m" } }));
+    assert(forwarded(ok));
+    assert.strictEqual(ok.forwarded[0].method, "signMessage");
+    assert.deepStrictEqual(ok.forwarded[0].args, { message: "m" });
+    assert(denied(await fromChild("https://app.example", request("sendTransaction"))), "method not listed for the origin");
+
+    // "*." matches subdomains only, and only on a label boundary.
+    assert(forwarded(await fromChild("https://a.games.example", request("getNodeAddress"))));
+    assert(forwarded(await fromChild("https://x.y.games.example", request("getNodeAddress"))));
+    assert(denied(await fromChild("https://a.games.example", request("signMessage"))), "falls back to the '*' methods");
+    assert(denied(await fromChild("https://games.example", request("getNodeAddress"))), "apex");
+    assert(denied(await fromChild("https://evilgames.example", request("getNodeAddress"))));
+    assert(denied(await fromChild("https://a.games.example.evil", request("getNodeAddress"))));
+    assert(denied(await fromChild("http://a.games.example", request("getNodeAddress"))), "scheme");
+    assert(denied(await fromChild("https://app.example.evil", request("getNodeAddress"))));
+
+    // Every frame on a nested call's path has to be allowed, for the method too.
+    assert(denied(await fromChild("https://app.example", request("getNodeAddress", { callers: ["https://evil.example"] }))));
+    assert(forwarded(await fromChild("https://app.example", request("getNodeAddress", { callers: ["https://a.games.example"] }))));
+    assert(denied(await fromChild("https://app.example", request("signMessage", { callers: ["https://a.games.example"] }))));
+
+    // onRequest sees the original caller and can veto.
+    const asked = [];
+    win.usernode.configureRelay({
+      allowedOrigins: ["*"],
+      onRequest: (req) => { asked.push({ ...req, via: [...req.via] }); return req.method !== "sendTransaction"; },
+    });
+    assert(forwarded(await fromChild("https://any.example", request("getNodeAddress", { callers: ["https://leaf.example"] }))));
+    assert(denied(await fromChild("https://any.example", request("sendTransaction"))));
+    assert.deepStrictEqual(asked.map((r) => [r.origin, r.via, r.method]), [
+      ["https://leaf.example", ["https://any.example"], "getNodeAddress"],
+      ["https://any.example", [], "sendTransaction"],
+    ]);
+  }
+  console.log("✓ relay origin policy");
+
+  // --- idempotency nonces ---
+  {
+    const sends = [];
+    let hold = null;
+    const win = loadBridge((w) => {
+      w.fetch = fakeFetch({
+        "/__mock/enabled": { enabled: true },
+        "/__mock/sendTransaction": (req) => {
+          sends.push(req.body);
+          const reply = { queued: true, tx_id: "tx" + sends.length };
+          return hold ? hold.then(() => reply) : reply;
+        },
+      });
+    });
+    const memoOf = (i) => JSON.parse(sends[i].memo);
+    const send = (memo, opts) => win.sendTransaction("ut1dest", 5, memo, { waitForInclusion: false, ...opts });
+
+    await send('{"app":"x"}');
+    assert.deepStrictEqual(memoOf(0), { app: "x" }, "no key, no nonce");
+
+    await send('{"app":"x"}', { idempotencyKey: true });
+    await send('{"app":"x"}', { idempotencyKey: true });
+    const [a, b] = [memoOf(1)["usernode:nonce"], memoOf(2)["usernode:nonce"]];
+    assert.match(a, /^[0-9a-f]{16}$/);
+    assert.notStrictEqual(a, b, "each auto send gets a fresh nonce");
+    assert.strictEqual(memoOf(1).app, "x");
+
+    await send('{"app":"x","nonce":7}', { idempotencyKey: "order-42" });
+    assert.deepStrictEqual(memoOf(3), { app: "x", nonce: 7, "usernode:nonce": "order-42" }, "the dapp's own field is kept");
+    await send('{"app":"x","usernode:nonce":"mine"}', { idempotencyKey: "order-43" });
+    assert.strictEqual(memoOf(4)["usernode:nonce"], "mine", "a nonce already in the memo wins");
+    await send("plain text", { idempotencyKey: true });
+    assert.strictEqual(sends[5].memo, "plain text", "non-JSON memos are left alone");
+
+    win.usernode.autoIdempotency = true;
+    await send('{"app":"x"}');
+    assert.match(memoOf(6)["usernode:nonce"], /^[0-9a-f]{16}$/);
+    win.usernode.autoIdempotency = false;
+
+    // A second send under the same guard is refused while the first is in flight.
+    let release;
+    hold = new Promise((r) => { release = r; });
+    const first = send('{"app":"x"}', { idempotencyKey: "k" });
+    const dup = await send('{"app":"y"}', { idempotencyKey: "k" }).catch((e) => e);
+    assert.strictEqual(dup.code, "DUPLICATE_SEND");
+    assert.strictEqual(dup.details.idempotencyKey, "k");
+    const tap = send('{"app":"x"}', { idempotencyKey: true });
+    const doubleTap = await send('{"app":"x"}', { idempotencyKey: true }).catch((e) => e);
+    assert.strictEqual(doubleTap.code, "DUPLICATE_SEND", "auto keys guard on destination, amount and memo");
+    release();
+    hold = null;
+    await Promise.all([first, tap]);
+    await send('{"app":"x"}', { idempotencyKey: "k" });
+    assert.strictEqual(sends.length, 10, "the guard is released once the send settles");
+  }
+  console.log("✓ idempotency nonces");
+
+  // --- outbox recovery ---
+  {
+    const store = {};
+    const pending = (key, owner, extra) => ({
+      key,
+      owner,
+      identity: null,
+      transport: "native",
+      txId: null,
+      destination_pubkey: "ut1dest",
+      amount: 5,
+      memo: JSON.stringify({ app: "x", "usernode:nonce": key }),
+      from_pubkey: "ut1me",
+      minCreatedAtMs: Date.now() - 60000,
+      submittedAtMs: Date.now() - 60000,
+      expiresAtMs: Date.now() + 60000,
+      ...extra,
+    });
+    store["usernode:outbox"] = JSON.stringify([
+      pending("ob_gone", "tab_gone"),
+      pending("ob_live", "tab_live"),
+      pending("ob_late", "tab_gone", { expiresAtMs: Date.now() - 1000 }),
+    ]);
+    store["usernode:outbox:tabs"] = JSON.stringify({ tab_gone: Date.now() - 60000, tab_live: Date.now() });
+
+    // Two tabs load at once; the chain already has ob_gone's tx.
+    const polls = [];
+    const onChain = { id: "t1", source: "ut1me", destination: "ut1dest", amount: 5, memo: JSON.parse(store["usernode:outbox"])[0].memo };
+    const tab = () => loadBridge((w) => {
+      w.fetch = fakeFetch({ "/cache/getTransactions": () => ({ items: [onChain] }) }, polls);
+      w.usernode = { serverCacheUrl: "/cache" };
+    }, store);
+    const tabs = [tab(), tab()];
+    const recovered = tabs.map((w) => {
+      const seen = [];
+      w.usernode.onRecovered((r) => seen.push([r.status, r.entry.key]));
+      return seen;
+    });
+    for (let i = 0; i < 5; i++) await tick();
+
+    // Each orphaned entry is resumed by exactly one tab; the live tab's is left alone.
+    assert.deepStrictEqual([...recovered[0]].sort(), [["confirmed", "ob_gone"], ["expired", "ob_late"]]);
+    assert.deepStrictEqual(recovered[1], []);
+    assert.strictEqual(polls.length, 2, "one poll per resumed entry");
+    assert.deepStrictEqual([...tabs[1].usernode.getPendingTransactions()].map((e) => [e.key, e.owner]), [["ob_live", "tab_live"]]);
+
+    // A tab that registers late still hears about what was recovered.
+    const late = [];
+    tabs[0].usernode.onRecovered((r) => late.push(r.entry.key));
+    assert.deepStrictEqual(late.sort(), ["ob_gone", "ob_late"]);
+  }
+  console.log("✓ outbox recovery");
+
+  console.log("\nAll tests passed.");
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -73,17 +73,89 @@
     if (opts && typeof opts.address === "string" && opts.address.trim()) {
       _configuredAddress = opts.address.trim();
     }
+    // Mock-mode dev widget for flipping identities (see usernode.mock).
+    if (opts && opts.mockIdentitySwitcher) {
+      if (document.readyState === "loading") {
+        document.addEventListener("DOMContentLoaded", function () { _showIdentitySwitcher(); });
+      } else {
+        _showIdentitySwitcher();
+      }
+    }
+  };
+
+  // ── Error taxonomy ────────────────────────────────────────────────────
+  //
+  // Every failure the bridge produces itself rejects with a UsernodeError
+  // carrying a stable `code`, so dapps can branch on `err.code` instead of
+  // regex-matching messages (the messages are unchanged and stay human-
+  // readable, but are not part of the contract). `details` holds whatever
+  // structured context the failing path has: `transport`, `method`,
+  // `attempts`, `status`, `timeoutMs`, `expected` (the match criteria an
+  // inclusion wait was looking for), `body` (HTTP error text).
+  //
+  // Cancellation via opts.signal is the one exception: it rejects with a
+  // standard AbortError, matching fetch().
+  var ERROR_CODES = {
+    USER_REJECTED: "USER_REJECTED",           // user declined / cancelled the confirm step
+    RELAY_TIMEOUT: "RELAY_TIMEOUT",           // iframe relay parent never answered
+    INCLUSION_TIMEOUT: "INCLUSION_TIMEOUT",   // tx never showed up before timeoutMs
+    MOCK_DISABLED: "MOCK_DISABLED",           // mock endpoint 404 (server not in --local-dev)
+    TRANSPORT_HTTP: "TRANSPORT_HTTP",         // non-2xx from a bridge-owned HTTP call
+    TRANSPORT_UNCONFIGURED: "TRANSPORT_UNCONFIGURED", // required base URL not set
+    NATIVE_UNAVAILABLE: "NATIVE_UNAVAILABLE", // no native channel and no relay
+    NATIVE_ERROR: "NATIVE_ERROR",             // native host reported a failure
+    QR_UNSUPPORTED: "QR_UNSUPPORTED",         // method has no QR-mode equivalent
+    DUPLICATE_SEND: "DUPLICATE_SEND",         // same idempotency key already in flight
+    ORPHANED: "ORPHANED",                     // tx was seen, then dropped out of the chain
+    AUTH_FAILED: "AUTH_FAILED",               // dapp server refused a sign-in signature
+    RELAY_DENIED: "RELAY_DENIED",             // host page's relay policy refused the call
+    UNSUPPORTED: "UNSUPPORTED",               // host's getCapabilities doesn't list the method
   };
 
+  function UsernodeError(code, message, details) {
+    this.name = "UsernodeError";
+    this.code = code;
+    this.message = message;
+    this.details = details || {};
+    if (typeof Error.captureStackTrace === "function") {
+      Error.captureStackTrace(this, UsernodeError);
+    } else {
+      this.stack = new Error(message).stack;
+    }
+  }
+  UsernodeError.prototype = Object.create(Error.prototype);
+  UsernodeError.prototype.constructor = UsernodeError;
+  UsernodeError.codes = ERROR_CODES;
+
+  window.usernode.UsernodeError = UsernodeError;
+
+  // The native host only hands back an error string. Declines from its
+  // confirm screen are worded as reject/cancel/deny, which is what we key
+  // USER_REJECTED on; anything else is a generic NATIVE_ERROR.
+  function _nativeError(message, method, transport) {
+    var text = String(message);
+    var code = /\b(reject|cancel|denied|deny|declin)/i.test(text)
+      ? ERROR_CODES.USER_REJECTED
+      : ERROR_CODES.NATIVE_ERROR;
+    return new UsernodeError(code, text, { transport: transport || "native", method: method || null });
+  }
+
   // Shared promise bridge for native calls (Flutter resolves via
   // `window.__usernodeResolve(id, value, error)`).
   window.__usernodeBridge = window.__usernodeBridge || { pending: {} };
-  window.__usernodeResolve = function (id, value, error) {
+  // `code` is only set by the iframe relay, for refusals the host page's
+  // relay policy made itself (RELAY_DENIED); native never passes it.
+  window.__usernodeResolve = function (id, value, error, code) {
     var entry = window.__usernodeBridge.pending[id];
     if (!entry) return;
     delete window.__usernodeBridge.pending[id];
-    if (error) entry.reject(new Error(error));
-    else entry.resolve(value);
+    if (error && code === ERROR_CODES.RELAY_DENIED) {
+      entry.reject(new UsernodeError(code, String(error), { transport: entry.transport, method: entry.method }));
+    } else if (error) {
+      entry.reject(_nativeError(error, entry.method, entry.transport));
+    } else {
+      entry.resolve(value);
+    }
   };
 
   // 15 s is well above the Flutter confirm-screen turnaround (single
@@ -91,28 +163,69 @@
   // approve), so a timeout firing means the parent never picked up the
   // request — surface it as an actual error instead of an infinite hang.
   var _RELAY_TIMEOUT_MS = 15000;
+  // Extra allowance per intermediate frame when the native channel is more
+  // than one hop up (see "Multi-hop relay" below). The leaf's timer is the
+  // only one that rejects, so it has to cover the whole chain.
+  var _RELAY_HOP_MS = 2000;
+  // Frames between us and the native channel, from the parent's
+  // discover-ack (1 = our parent has it).
+  var _relayDepth = 1;
+
+  function _relayTimeoutMs() {
+    return _RELAY_TIMEOUT_MS + Math.max(0, _relayDepth - 1) * _RELAY_HOP_MS;
+  }
+
+  // Methods native hosts shipped before getCapabilities existed. They go
+  // straight to the host, so a legacy host never sees the probe unless the
+  // dapp calls something newer. Calls to anything else wait for
+  // getCapabilities (cached after the first answer) and reject with
+  // UNSUPPORTED straight away if the host doesn't list the method, instead
+  // of hanging until the relay timeout.
+  var _BASELINE_NATIVE_METHODS = { getNodeAddress: true, sendTransaction: true, signMessage: true };
 
   function callNative(method, args) {
+    if (_BASELINE_NATIVE_METHODS[method] || !window.usernode.isNative) return _postNative(method, args);
+    return _requireMethod(_nativeTransport(), method).then(function () {
+      return _postNative(method, args);
+    });
+  }
+
+  function _nativeTransport() {
+    return _useIframeRelay ? "iframe-relay" : "native";
+  }
+
+  // `timeoutMs` bounds a call that a host may never answer (only the
+  // getCapabilities probe passes one): the pending entry is dropped and the
+  // promise rejects when it fires. Relay calls always get a timeout.
+  function _postNative(method, args, timeoutMs) {
     var id = String(Date.now()) + "-" + Math.random().toString(16).slice(2);
     return new Promise(function (resolve, reject) {
-      window.__usernodeBridge.pending[id] = { resolve: resolve, reject: reject };
+      var transport = _nativeTransport();
+      window.__usernodeBridge.pending[id] = {
+        resolve: resolve, reject: reject, method: method, transport: transport,
+      };
       var payload = { method: method, id: id, args: args || {} };
       if (_useIframeRelay) {
+        timeoutMs = timeoutMs || _relayTimeoutMs();
         var timer = setTimeout(function () {
           var entry = window.__usernodeBridge.pending[id];
           if (!entry) return;
           delete window.__usernodeBridge.pending[id];
           console.warn("[usernode-bridge] relay timeout for", method, "id", id);
-          reject(new Error(
+          reject(new UsernodeError(
+            ERROR_CODES.RELAY_TIMEOUT,
             "Usernode relay timed out (parent page never responded). " +
-            "Reload the host page so it picks up the latest bridge."
+            "Reload the host page so it picks up the latest bridge.",
+            { transport: transport, method: method, timeoutMs: timeoutMs, hops: _relayDepth }
           ));
-        }, _RELAY_TIMEOUT_MS);
+        }, timeoutMs);
         // Wrap resolve/reject so the timeout is cleared on completion.
         var origEntry = window.__usernodeBridge.pending[id];
         window.__usernodeBridge.pending[id] = {
           resolve: function (v) { clearTimeout(timer); origEntry.resolve(v); },
           reject: function (e) { clearTimeout(timer); origEntry.reject(e); },
+          method: method,
+          transport: transport,
         };
         try {
           console.log("[usernode-bridge] relay → parent:", method, "id", id);
@@ -128,11 +241,32 @@
         return;
       }
       if (_hasNativeChannel) {
+        if (timeoutMs) {
+          var nativeTimer = setTimeout(function () {
+            if (!window.__usernodeBridge.pending[id]) return;
+            delete window.__usernodeBridge.pending[id];
+            reject(new UsernodeError(
+              ERROR_CODES.NATIVE_ERROR,
+              "Native host did not answer " + method + " within " + timeoutMs + " ms",
+              { transport: transport, method: method, timeoutMs: timeoutMs }
+            ));
+          }, timeoutMs);
+          window.__usernodeBridge.pending[id] = {
+            resolve: function (v) { clearTimeout(nativeTimer); resolve(v); },
+            reject: function (e) { clearTimeout(nativeTimer); reject(e); },
+            method: method,
+            transport: transport,
+          };
+        }
         window.Usernode.postMessage(JSON.stringify(payload));
         return;
       }
       delete window.__usernodeBridge.pending[id];
-      reject(new Error("Usernode native bridge not available"));
+      reject(new UsernodeError(
+        ERROR_CODES.NATIVE_UNAVAILABLE,
+        "Usernode native bridge not available",
+        { method: method }
+      ));
     });
   }
 
@@ -156,16 +290,19 @@
       var data = e.data;
       if (!data) return;
       if (data.__usernode_relay === "discover-ack") {
+        if (typeof data.depth === "number" && data.depth >= 1) _relayDepth = data.depth;
         if (!_useIframeRelay) {
-          console.log("[usernode-bridge] iframe relay activated (parent ack received)");
+          console.log("[usernode-bridge] iframe relay activated (parent ack received, " + _relayDepth + " hop(s) to native)");
           _useIframeRelay = true;
           window.usernode.isNative = true;
+          _flushQueuedDiscovers();
         }
         return;
       }
       if (data.__usernode_relay === "response") {
+        if (_relayResponseDown(data)) return;
         console.log("[usernode-bridge] relay ← parent response id", data.id);
-        window.__usernodeResolve(data.id, data.value, data.error);
+        window.__usernodeResolve(data.id, data.value, data.error, data.code);
       }
     });
     try {
@@ -184,60 +321,226 @@
   // its own copy of this bridge and is responsible for those decisions
   // in its own origin. The parent only relays raw Usernode.postMessage
   // payloads, which keeps cross-origin behaviour predictable.
-  if (_hasNativeChannel) {
-    console.log("[usernode-bridge] parent: native channel available, relay listener installed");
+  //
+  // Relaying is default-deny: the host page must list the embedded
+  // origins it trusts with usernode.configureRelay() — before its iframes
+  // load, since they discover once at startup. Unlisted origins get no
+  // discover-ack (the iframe falls back to QR/mock) and their requests are
+  // refused with RELAY_DENIED, as are methods outside the origin's
+  // allowlist and calls the host's onRequest hook vetoes.
+  var _relayPolicy = { allowedOrigins: [], allowedMethods: null, onRequest: null };
+
+  // opts.allowedOrigins: ["https://app.example", "https://*.example", "*"]
+  // opts.allowedMethods: ["getNodeAddress", ...] for every allowed origin,
+  //   or { "<origin>": [...], "*": [...] } per origin; omitted = all methods
+  // opts.onRequest({ origin, via, method, args }) → boolean | Promise<boolean>
+  //   origin is the frame that made the call; via lists the relaying frames
+  //   between it and this page, nearest the caller first (empty for a
+  //   direct child).
+  window.usernode.configureRelay = function configureRelay(opts) {
+    opts = opts || {};
+    _relayPolicy = {
+      allowedOrigins: Array.isArray(opts.allowedOrigins) ? opts.allowedOrigins.map(String) : [],
+      allowedMethods: opts.allowedMethods || null,
+      onRequest: typeof opts.onRequest === "function" ? opts.onRequest : null,
+    };
+  };
+
+  function _originMatches(pattern, origin) {
+    if (pattern === "*") return true;
+    if (pattern.indexOf("*.") < 0) return pattern === origin;
+    // "https://*.example.com" matches any subdomain, not the apex.
+    var parts = pattern.split("*.");
+    return origin.indexOf(parts[0]) === 0 &&
+      origin.length > (parts[0] + parts[1]).length &&
+      origin.slice(-(parts[1].length + 1)) === "." + parts[1];
+  }
+
+  function _relayOriginAllowed(origin) {
+    return _relayPolicy.allowedOrigins.some(function (p) { return _originMatches(p, origin); });
+  }
+
+  function _relayMethodAllowed(origin, method) {
+    var methods = _relayPolicy.allowedMethods;
+    if (!methods) return true;
+    if (!Array.isArray(methods)) {
+      methods = Object.prototype.hasOwnProperty.call(methods, origin) ? methods[origin] : methods["*"];
+    }
+    return Array.isArray(methods) && methods.indexOf(method) >= 0;
+  }
+
+  //
+  // ── Multi-hop relay ──
+  //
+  // An iframe that itself relays through its parent (a dapp inside the
+  // social-vibecoding host) serves its own child frames the same way, so a
+  // widget nested two or more levels deep still reaches native. Discovers
+  // from children are acked once our own relay is up (queued until then),
+  // with `depth` = our depth + 1. Requests go up under a fresh id; the hop
+  // table maps that id back to the child's window, origin and original id
+  // when the response comes down. Hop entries expire a little after the
+  // leaf's timeout so abandoned calls don't leak.
+  //
+  // Each hop also sends `callers`: the origins of every frame below it on
+  // the call's path, the original caller first. A relaying page applies its
+  // origin and method allowlists to each of them, and onRequest sees the
+  // original caller as `origin`, so a nested frame gets no more than the
+  // most restricted frame on its path. The origins below the immediate
+  // child are as reported by that child's bridge, which the host already
+  // trusts by allowlisting it.
+  var _relayHops = {};
+  var _queuedDiscovers = [];
+
+  function _ackDiscover(source, origin) {
+    var depth = _hasNativeChannel ? 1 : _relayDepth + 1;
+    console.log("[usernode-bridge] relay ← discover from", origin, "→ acking (depth " + depth + ")");
+    try {
+      source.postMessage({ __usernode_relay: "discover-ack", depth: depth }, origin);
+    } catch (_) { /* iframe gone, ignore */ }
+  }
+
+  function _flushQueuedDiscovers() {
+    var queued = _queuedDiscovers;
+    _queuedDiscovers = [];
+    queued.forEach(function (d) { _ackDiscover(d.source, d.origin); });
+  }
+
+  function _forwardRelayUp(method, args, origId, reply, callers) {
+    var hopId = "hop-" + String(Date.now()) + "-" + Math.random().toString(16).slice(2);
+    console.log("[usernode-bridge] relay ↑", method, "child id", origId, "→ hop id", hopId);
+    _relayHops[hopId] = {
+      reply: reply,
+      timer: setTimeout(function () { delete _relayHops[hopId]; }, _relayTimeoutMs() + _RELAY_HOP_MS),
+    };
+    try {
+      window.parent.postMessage(
+        { __usernode_relay: "request", id: hopId, method: method, args: args, callers: callers },
+        "*"
+      );
+    } catch (err) {
+      clearTimeout(_relayHops[hopId].timer);
+      delete _relayHops[hopId];
+      reply(null, (err && err.message) || String(err));
+    }
+  }
+
+  // Returns true when `data` answered a request we forwarded for a child.
+  function _relayResponseDown(data) {
+    var hop = _relayHops[data.id];
+    if (!hop) return false;
+    clearTimeout(hop.timer);
+    delete _relayHops[data.id];
+    console.log("[usernode-bridge] relay ↓ response hop id", data.id);
+    hop.reply(data.value, data.error, data.code);
+    return true;
+  }
+
+  if (_hasNativeChannel || _inIframe) {
+    if (_hasNativeChannel) {
+      console.log("[usernode-bridge] parent: native channel available, relay listener installed");
+    }
     window.addEventListener("message", function (e) {
       var data = e.data;
       if (!data || !e.source) return;
-      var origin = e.origin || "*";
+      // Our own parent's messages belong to the relay client above.
+      if (_inIframe && e.source === window.parent) return;
+      var origin = e.origin || "null";
       var source = e.source;
       if (data.__usernode_relay === "discover") {
-        console.log("[usernode-bridge] parent ← discover from", origin, "→ acking");
-        try {
-          source.postMessage({ __usernode_relay: "discover-ack" }, origin);
-        } catch (_) { /* iframe gone, ignore */ }
+        if (!_relayOriginAllowed(origin)) {
+          console.warn("[usernode-bridge] relay ← discover from", origin, "→ not in relay allowlist, ignoring");
+          return;
+        }
+        if (_hasNativeChannel || _useIframeRelay) _ackDiscover(source, origin);
+        else _queuedDiscovers.push({ source: source, origin: origin });
         return;
       }
       if (data.__usernode_relay !== "request") return;
       var origId = data.id;
-      var nativeId = "relay-" + String(Date.now()) + "-" +
-        Math.random().toString(16).slice(2);
-      console.log(
-        "[usernode-bridge] parent ← relay request",
-        data.method,
-        "id", origId, "→ native id", nativeId
-      );
-      function reply(value, error) {
+      var method = data.method;
+      var args = data.args || {};
+      // The call's path below us, original caller first.
+      var path = (Array.isArray(data.callers) ? data.callers.map(String) : []).concat([origin]);
+      var methodAllowed = function (m) {
+        return path.every(function (o) { return _relayMethodAllowed(o, m); });
+      };
+      // Capability lookups are answered for any allowed origin, without the
+      // onRequest hook, but the method list is narrowed to what this page
+      // lets that origin call — so the child fails fast on the rest.
+      var isCapabilities = method === "getCapabilities";
+      function reply(value, error, code) {
+        if (isCapabilities && value && Array.isArray(value.methods)) {
+          value = Object.assign({}, value, {
+            methods: value.methods.filter(methodAllowed),
+          });
+        }
         try {
           source.postMessage(
-            { __usernode_relay: "response", id: origId, value: value, error: error },
+            { __usernode_relay: "response", id: origId, value: value, error: error, code: code || null },
             origin
           );
         } catch (_) { /* iframe gone, ignore */ }
       }
-      window.__usernodeBridge.pending[nativeId] = {
-        resolve: function (v) {
-          console.log("[usernode-bridge] parent native resolve →", nativeId);
-          reply(v, null);
-        },
-        reject: function (err) {
-          console.log("[usernode-bridge] parent native reject →", nativeId, err);
-          reply(null, (err && err.message) || String(err));
-        },
-      };
-      try {
-        window.Usernode.postMessage(JSON.stringify({
-          method: data.method,
-          id: nativeId,
-          args: data.args || {},
-        }));
-      } catch (err) {
-        delete window.__usernodeBridge.pending[nativeId];
-        reply(null, (err && err.message) || String(err));
+      function deny(reason) {
+        console.warn("[usernode-bridge] relay ✗", method, "from", origin, "—", reason);
+        reply(null, "Relay request refused: " + reason, ERROR_CODES.RELAY_DENIED);
+      }
+      if (!_relayOriginAllowed(origin)) return deny("origin not allowed");
+      for (var i = 0; i < path.length - 1; i++) {
+        if (!_relayOriginAllowed(path[i])) return deny("nested origin " + path[i] + " not allowed");
       }
+      if (!isCapabilities && !methodAllowed(method)) {
+        return deny("method " + method + " not allowed for this origin");
+      }
+
+      var approval = _relayPolicy.onRequest && !isCapabilities
+        ? Promise.resolve().then(function () {
+            return _relayPolicy.onRequest({ origin: path[0], via: path.slice(1), method: method, args: args });
+          })
+        : Promise.resolve(true);
+      approval.then(function (ok) {
+        if (!ok) return deny("vetoed by host page");
+        if (_hasNativeChannel) _forwardRelayRequest(method, args, origId, reply);
+        else if (_useIframeRelay) _forwardRelayUp(method, args, origId, reply, path);
+        else deny("no native channel upstream");
+      }, function (err) {
+        deny("host approval failed: " + ((err && err.message) || String(err)));
+      });
     });
   }
 
+  // Hands an approved relay request to the native channel and routes its
+  // resolution back through `reply`.
+  function _forwardRelayRequest(method, args, origId, reply) {
+    var nativeId = "relay-" + String(Date.now()) + "-" +
+      Math.random().toString(16).slice(2);
+    console.log(
+      "[usernode-bridge] parent ← relay request",
+      method,
+      "id", origId, "→ native id", nativeId
+    );
+    window.__usernodeBridge.pending[nativeId] = {
+      resolve: function (v) {
+        console.log("[usernode-bridge] parent native resolve →", nativeId);
+        reply(v, null);
+      },
+      reject: function (err) {
+        console.log("[usernode-bridge] parent native reject →", nativeId, err);
+        reply(null, (err && err.message) || String(err));
+      },
+    };
+    try {
+      window.Usernode.postMessage(JSON.stringify({
+        method: method,
+        id: nativeId,
+        args: args,
+      }));
+    } catch (err) {
+      delete window.__usernodeBridge.pending[nativeId];
+      reply(null, (err && err.message) || String(err));
+    }
+  }
+
   function sleep(ms) {
     return new Promise(function (resolve) { setTimeout(resolve, ms); });
   }
@@ -370,6 +673,8 @@
     _observedTxIds[trimmed] = true;
 
     var channel = window.Usernode;
+    var caps = _capabilityResults[_nativeTransport()];
+    if (caps && caps.methods && caps.methods.indexOf("txObserved") < 0) return;
     if (
       !channel ||
       typeof channel !== "object" ||
@@ -418,6 +723,78 @@
     _notifyNativeTxObserved(txId);
   };
 
+  // ── Idempotency nonces ─────────────────────────────────────────────
+  //
+  // sendTransaction can stamp a nonce into a JSON-object memo
+  // (opts.idempotencyKey). Two otherwise identical sends then produce
+  // distinguishable memos, so an inclusion wait keyed on the nonce can't
+  // resolve against the other tx, and servers can drop replays (see
+  // createAppStateCache's `dedupeNonces`). Non-JSON memos are left alone.
+  // The field is namespaced so a dapp's own `nonce` field keeps its meaning.
+  var MEMO_NONCE_FIELD = "usernode:nonce";
+  function _parseMemoObject(memo) {
+    if (memo == null) return null;
+    try {
+      var parsed = JSON.parse(String(memo));
+      return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function memoNonce(memo) {
+    var obj = _parseMemoObject(memo);
+    return obj && obj[MEMO_NONCE_FIELD] != null ? String(obj[MEMO_NONCE_FIELD]) : null;
+  }
+
+  // Returns the memo with the nonce set, or the memo unchanged when it isn't
+  // a JSON object. A nonce already in the memo wins.
+  function stampMemoNonce(memo, nonce) {
+    var obj = _parseMemoObject(memo);
+    if (!obj || obj[MEMO_NONCE_FIELD] != null) return memo;
+    obj[MEMO_NONCE_FIELD] = nonce;
+    return JSON.stringify(obj);
+  }
+
+  // Idempotency guards of sends that haven't settled yet.
+  var _inFlightGuards = {};
+
+  // opts.idempotencyKey: a string is used as the memo nonce and refuses a
+  // second send with the same key while the first is in flight. `true`
+  // (or window.usernode.autoIdempotency) generates a fresh nonce and
+  // guards on `fingerprint` (destination + amount + memo) instead, which
+  // is what catches a double-tapped Send button.
+  function resolveIdempotency(fingerprint, opts) {
+    var key = opts && opts.idempotencyKey != null
+      ? opts.idempotencyKey
+      : (window.usernode.autoIdempotency ? true : null);
+    if (key == null || key === false) return null;
+    if (key === true) return { nonce: randomHex(8), guard: "auto:" + fingerprint };
+    return { nonce: String(key), guard: "key:" + String(key) };
+  }
+
+  // Runs send() under idem's guard: refuses with DUPLICATE_SEND while a send
+  // with the same guard is in flight, and releases it once send settles.
+  function withIdempotencyGuard(idem, method, send) {
+    if (!idem) return send();
+    if (_inFlightGuards[idem.guard]) {
+      return Promise.reject(new UsernodeError(
+        ERROR_CODES.DUPLICATE_SEND,
+        "A transaction with the same idempotency key is already in flight",
+        { method: method, idempotencyKey: idem.nonce }
+      ));
+    }
+    _inFlightGuards[idem.guard] = true;
+    var release = function () { delete _inFlightGuards[idem.guard]; };
+    return send().then(function (result) {
+      release();
+      return result;
+    }, function (err) {
+      release();
+      throw err;
+    });
+  }
+
   function txMatches(tx, expected) {
     if (!tx || typeof tx !== "object") return false;
 
@@ -439,7 +816,11 @@
       }
     }
 
-    if (expected.memo != null) {
+    // A nonce identifies the send on its own; comparing it instead of the
+    // raw memo string also tolerates hosts that re-serialize JSON memos.
+    if (expected.nonce != null) {
+      if (memoNonce(tx.memo) !== expected.nonce) return false;
+    } else if (expected.memo != null) {
       var memo = tx.memo == null ? null : String(tx.memo);
       if (memo !== expected.memo) return false;
     }
@@ -481,8 +862,10 @@
     }).then(function (resp) {
       if (!resp.ok) {
         return resp.text().then(function (text) {
-          throw new Error(
-            "server-cache getTransactions failed (" + resp.status + "): " + text
+          throw new UsernodeError(
+            ERROR_CODES.TRANSPORT_HTTP,
+            "server-cache getTransactions failed (" + resp.status + "): " + text,
+            { transport: "server-cache", status: resp.status, body: text }
           );
         });
       }
@@ -490,12 +873,266 @@
     });
   }
 
+  // ── Confirmation depth ────────────────────────────────────────────────
+  //
+  // Explorer txs carry a `status` (confirmed/canonical once settled,
+  // orphaned when their block was abandoned) and a `block_height`. An
+  // inclusion wait normally resolves on first sight; opts.confirmations (a
+  // block depth, the including block counting as 1) and
+  // opts.requireCanonical keep it open until the tx is that deep and
+  // explorer-confirmed. Hosts that report neither field (mock mode) have no
+  // chain position to wait on, so a match there is final.
+  function _isCanonicalStatus(status) {
+    return status === "confirmed" || status === "canonical";
+  }
+
+  function _txBlockHeight(tx) {
+    var h = tx && tx.block_height;
+    return typeof h === "number" && Number.isFinite(h) ? h : null;
+  }
+
+  // "orphaned" | "included" | "seen"
+  function _txChainStatus(tx) {
+    var status = tx && tx.status != null ? String(tx.status) : null;
+    if (status && /orphan/i.test(status)) return "orphaned";
+    if (_txBlockHeight(tx) != null || _isCanonicalStatus(status)) return "included";
+    return "seen";
+  }
+
+  // Current tip from the explorer's block list (the mock server's, with
+  // --mock-blocks). Null when there's no explorer configured or the call
+  // fails; callers fall back to the highest block_height they've seen in
+  // tx pages.
+  function _fetchTipHeight() {
+    return isMockEnabled().then(function (useMock) {
+      var base = useMock ? "/__mock" : window.usernode.transactionsBaseUrl;
+      if (!base) return null;
+      return fetch(base + "/blocks?limit=1").then(function (resp) {
+        if (!resp.ok) return null;
+        return resp.json().then(function (data) {
+          var block = data && Array.isArray(data.items) ? data.items[0] : null;
+          var h = block && (block.height != null ? block.height : block.block_height);
+          return typeof h === "number" && Number.isFinite(h) ? h : null;
+        });
+      });
+    }).catch(function () { return null; });
+  }
+
+  // ── Cancellation (opts.signal) ────────────────────────────────────────
+  //
+  // sendTransaction accepts a standard AbortSignal. Aborting stops inclusion
+  // polling (and its push stream), closes the QR modal, and rejects with an
+  // AbortError — the same error shape fetch() uses, so dapps can share one
+  // `err.name === "AbortError"` check. A native confirm dialog that is
+  // already on screen can't be withdrawn; the bridge just stops waiting.
+  function _abortError() {
+    var message = "Transaction aborted";
+    if (typeof DOMException === "function") {
+      try { return new DOMException(message, "AbortError"); } catch (_) {}
+    }
+    var err = new Error(message);
+    err.name = "AbortError";
+    return err;
+  }
+
+  function _signalOf(opts) {
+    var signal = opts && opts.signal;
+    return signal && typeof signal.addEventListener === "function" ? signal : null;
+  }
+
+  // Rejects with AbortError as soon as `signal` aborts, otherwise settles
+  // with `promise`. The underlying work is not cancelled (used for legs
+  // that can't be, like the native confirm round-trip).
+  function _raceAbort(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(_abortError());
+    return new Promise(function (resolve, reject) {
+      function onAbort() { reject(_abortError()); }
+      signal.addEventListener("abort", onAbort);
+      promise.then(function (v) {
+        signal.removeEventListener("abort", onAbort);
+        resolve(v);
+      }, function (e) {
+        signal.removeEventListener("abort", onAbort);
+        reject(e);
+      });
+    });
+  }
+
+  // ── Push subscriptions ────────────────────────────────────────────────
+  //
+  // window.usernode.subscribe(filter, onTx, opts?) → unsubscribe()
+  //
+  // With serverCacheUrl set (and EventSource available) this opens
+  // "${url}/stream", which createAppStateCache feeds with every tx the
+  // moment processTransaction ingests it. EventSource reconnects on its own
+  // after network blips and resends Last-Event-ID; if it gives up
+  // (readyState CLOSED, e.g. the server restarted mid-stream) we reopen with
+  // exponential backoff and pass the last seen id as `last_event_id` so the
+  // server replays whatever we missed. Without a server cache the same API
+  // falls back to polling window.getTransactions.
+  //
+  // filter: { sender?, recipient?, account? } — same fields the cache's
+  // getTransactions route accepts. onTx(tx) fires once per tx id, for txs
+  // that arrive after the subscription opened.
+  // opts:   { onReset?(info), pollIntervalMs? } — onReset fires when the
+  //         server cache was wiped by a chain reset.
+  var _SUBSCRIBE_POLL_MS = 2000;
+  var _SUBSCRIBE_MAX_BACKOFF_MS = 30000;
+  var _SUBSCRIBE_FILTER_KEYS = ["sender", "recipient", "account"];
+
+  function _txMatchesSubscribeFilter(tx, filter) {
+    var from = pickFirst(tx, ["source", "from_pubkey", "from"]);
+    var to = pickFirst(tx, ["destination", "destination_pubkey", "to"]);
+    if (filter.sender && from !== filter.sender) return false;
+    if (filter.recipient && to !== filter.recipient) return false;
+    if (filter.account && from !== filter.account && to !== filter.account) return false;
+    return true;
+  }
+
+  function _openSubscription(filter, onTx, opts) {
+    if (typeof onTx !== "function") {
+      throw new Error("usernode.subscribe: onTx callback is required");
+    }
+    var cleanFilter = {};
+    _SUBSCRIBE_FILTER_KEYS.forEach(function (k) {
+      if (filter && filter[k]) cleanFilter[k] = String(filter[k]);
+    });
+    var pollIntervalMs =
+      opts && typeof opts.pollIntervalMs === "number" ? opts.pollIntervalMs : _SUBSCRIBE_POLL_MS;
+    var base = _serverCacheUrl();
+    var closed = false;
+    var live = false;
+    var seen = {};
+    var es = null;
+    var timer = null;
+    var lastEventId = null;
+    var backoffMs = 1000;
+
+    function deliver(tx) {
+      if (closed || !tx || typeof tx !== "object") return;
+      var id = extractTxId(tx);
+      if (id) {
+        if (seen[id]) return;
+        seen[id] = true;
+      }
+      try { onTx(tx); }
+      catch (e) { console.warn("[usernode-bridge] subscribe callback threw:", e); }
+    }
+
+    function openStream() {
+      if (closed) return;
+      var params = _SUBSCRIBE_FILTER_KEYS
+        .filter(function (k) { return cleanFilter[k]; })
+        .map(function (k) { return k + "=" + encodeURIComponent(cleanFilter[k]); });
+      if (lastEventId) params.push("last_event_id=" + encodeURIComponent(lastEventId));
+      es = new window.EventSource(base + "/stream" + (params.length ? "?" + params.join("&") : ""));
+      es.onopen = function () {
+        live = true;
+        backoffMs = 1000;
+      };
+      es.addEventListener("tx", function (ev) {
+        if (ev.lastEventId) lastEventId = ev.lastEventId;
+        var tx;
+        try { tx = JSON.parse(ev.data); } catch (_) { return; }
+        deliver(tx);
+      });
+      es.addEventListener("reset", function (ev) {
+        if (ev.lastEventId) lastEventId = ev.lastEventId;
+        seen = {};
+        if (opts && typeof opts.onReset === "function") {
+          var info = null;
+          try { info = JSON.parse(ev.data); } catch (_) {}
+          try { opts.onReset(info); }
+          catch (e) { console.warn("[usernode-bridge] subscribe onReset threw:", e); }
+        }
+      });
+      es.onerror = function () {
+        live = false;
+        // CONNECTING means the browser is already retrying (with
+        // Last-Event-ID); only step in once it has given up for good.
+        if (closed || !es || es.readyState !== window.EventSource.CLOSED) return;
+        es.close();
+        es = null;
+        console.warn("[usernode-bridge] subscribe stream closed; reconnecting in", backoffMs, "ms");
+        timer = setTimeout(openStream, backoffMs);
+        backoffMs = Math.min(backoffMs * 2, _SUBSCRIBE_MAX_BACKOFF_MS);
+      };
+    }
+
+    // Polling fallback: the first page only primes `seen`, so — like the
+    // stream — callers get txs that arrive after subscribing, not history.
+    var primed = false;
+    function pollOnce() {
+      if (closed) return;
+      var query = Object.assign({ limit: 50 }, cleanFilter);
+      window.getTransactions(query).then(function (resp) {
+        var items = normalizeTransactionsResponse(resp).slice().reverse();
+        for (var i = 0; i < items.length; i++) {
+          if (!_txMatchesSubscribeFilter(items[i], cleanFilter)) continue;
+          if (primed) {
+            deliver(items[i]);
+          } else {
+            var id = extractTxId(items[i]);
+            if (id) seen[id] = true;
+          }
+        }
+        primed = true;
+      }).catch(function (err) {
+        console.warn("[usernode-bridge] subscribe poll error:", err && err.message);
+      }).then(function () {
+        if (!closed) timer = setTimeout(pollOnce, pollIntervalMs);
+      });
+    }
+
+    if (base && typeof window.EventSource === "function") openStream();
+    else pollOnce();
+
+    return {
+      isLive: function () { return live; },
+      close: function () {
+        if (closed) return;
+        closed = true;
+        live = false;
+        if (timer) clearTimeout(timer);
+        if (es) es.close();
+        es = null;
+      },
+    };
+  }
+
+  window.usernode.subscribe = function subscribe(filter, onTx, opts) {
+    return _openSubscription(filter, onTx, opts).close;
+  };
+
+  // While the push stream is live, inclusion polls only run as a safety net
+  // (the stream delivers the match); this is their stretched interval.
+  var _STREAM_SAFETY_POLL_MS = 5000;
+  // Poll interval once the tx is found and we're waiting for depth — new
+  // blocks arrive every few seconds, and the stream doesn't push updates
+  // to a tx it already delivered.
+  var _CONFIRM_POLL_MS = 2000;
+  // Consecutive polls an included tx must be missing from a page that
+  // should contain it before it counts as dropped out of the chain.
+  var _DROPOUT_POLLS = 2;
+  // After a 5xx from the listing endpoint (an explorer restart, an
+  // overloaded proxy) the inclusion poll keeps going until its deadline,
+  // waiting at least this long before the next attempt.
+  var _TRANSIENT_RETRY_MS = 1500;
+
+  function _isTransientHttpError(err) {
+    return !!(err && err.code === ERROR_CODES.TRANSPORT_HTTP && err.details && err.details.status >= 500);
+  }
+
+  // opts.onStatusChange({ status, tx, confirmations }) reports progress:
+  // "seen" → "included" → "confirmed", or "orphaned". "confirmed" is only
+  // emitted when opts.confirmations / opts.requireCanonical asked for it.
   function waitForTransactionVisible(expected, opts) {
     // 180s default: chain inclusion on the live network can take a couple
     // of minutes during slow mempool periods. Dapps that want a tighter
     // ceiling can pass opts.timeoutMs explicitly. See AGENTS.md §2.
     var timeoutMs =
-      opts && typeof opts.timeoutMs === "number" ? opts.timeoutMs : 180000;
+      opts && typeof opts.timeoutMs === "number" ? opts.timeoutMs : _DEFAULT_INCLUSION_TIMEOUT_MS;
     var pollIntervalMs =
       opts && typeof opts.pollIntervalMs === "number" ? opts.pollIntervalMs : 750;
     var limit = opts && typeof opts.limit === "number" ? opts.limit : 50;
@@ -503,6 +1140,12 @@
       (opts && opts.filterOptions && typeof opts.filterOptions === "object"
         ? opts.filterOptions
         : null) || {};
+    var confirmations =
+      opts && typeof opts.confirmations === "number" ? Math.max(0, Math.floor(opts.confirmations)) : 0;
+    var requireCanonical = !!(opts && opts.requireCanonical);
+    var wantsDepth = confirmations > 0 || requireCanonical;
+    var onStatusChange =
+      opts && typeof opts.onStatusChange === "function" ? opts.onStatusChange : null;
 
     var query = Object.assign({ limit: limit }, filterOptions);
     if (expected.from_pubkey && !query.sender && !query.account) {
@@ -513,46 +1156,426 @@
     var startedAt = Date.now();
     var attempt = 0;
 
-    function poll() {
-      attempt++;
-      return _fetchInclusionPage(query).then(function (resp) {
-        var items = normalizeTransactionsResponse(resp);
-        var found = null;
-        for (var i = 0; i < items.length; i++) {
-          if (txMatches(items[i], expected)) { found = items[i]; break; }
-        }
-        if (found) {
-          console.log("[usernode-bridge] tx found after", attempt, "polls,", Date.now() - startedAt, "ms (via " + transportLabel + ")");
+    var signal = _signalOf(opts);
+
+    // Waits that share opts.claims (tx id → claimant) never resolve against
+    // the same tx, so identical items in one batch each get their own.
+    var claims = (opts && opts.claims) || null;
+    var claimant = {};
+
+    return new Promise(function (resolve, reject) {
+      var settled = false;
+      var stream = null;
+      var pollTimer = null;
+      // Latest copy of the matched tx, once found.
+      var tracked = null;
+      var lastStatus = null;
+      var tipHeight = null;
+      var missedPolls = 0;
+
+      function finish(err, tx) {
+        if (settled) return;
+        settled = true;
+        if (pollTimer) clearTimeout(pollTimer);
+        if (stream) stream.close();
+        if (signal) signal.removeEventListener("abort", onAbort);
+        if (err) reject(err);
+        else resolve(tx);
+      }
+
+      function onAbort() {
+        console.log("[usernode-bridge] waitForTx aborted after", attempt, "polls");
+        finish(_abortError());
+      }
+      if (signal) {
+        if (signal.aborted) { finish(_abortError()); return; }
+        signal.addEventListener("abort", onAbort);
+      }
+
+      function isOurs(tx) {
+        if (!txMatches(tx, expected)) return false;
+        if (!claims) return true;
+        var id = extractTxId(tx);
+        if (tracked) return id === extractTxId(tracked);
+        return !id || !claims[id] || claims[id] === claimant;
+      }
+
+      function depthOf(tx) {
+        var h = _txBlockHeight(tx);
+        if (h == null) return 0;
+        return Math.max(tipHeight == null ? h : tipHeight, h) - h + 1;
+      }
+
+      // Statuses only move forward; orphaned can follow any of them.
+      var STATUS_RANK = { seen: 1, included: 2, confirmed: 3, orphaned: 4 };
+      function setStatus(status, tx) {
+        if (lastStatus && STATUS_RANK[status] <= STATUS_RANK[lastStatus]) return;
+        lastStatus = status;
+        if (!onStatusChange) return;
+        try { onStatusChange({ status: status, tx: tx, confirmations: depthOf(tx) }); }
+        catch (e) { console.warn("[usernode-bridge] onStatusChange callback threw:", e); }
+      }
+
+      function isFinal(tx) {
+        if (tx.status == null && _txBlockHeight(tx) == null) return true;
+        if (requireCanonical && !_isCanonicalStatus(String(tx.status))) return false;
+        return depthOf(tx) >= confirmations;
+      }
+
+      function orphaned(tx, reason) {
+        setStatus("orphaned", tx);
+        console.warn("[usernode-bridge] waitForTx: tx orphaned (" + reason + ")");
+        finish(new UsernodeError(
+          ERROR_CODES.ORPHANED,
+          "Transaction was dropped from the chain (" + reason + ")",
+          {
+            transport: transportLabel,
+            attempts: attempt,
+            tx: tx,
+            expected: Object.assign({}, expected),
+          }
+        ));
+      }
+
+      function onMatch(found, via) {
+        if (!tracked) {
+          if (claims && extractTxId(found)) claims[extractTxId(found)] = claimant;
+          console.log("[usernode-bridge] tx found after", attempt, "polls,", Date.now() - startedAt, "ms (via " + via + ")");
           _notifyNativeTxObserved(
             extractTxId(found) || (expected && expected.txId),
             found
           );
-          return found;
         }
+        tracked = found;
+        missedPolls = 0;
+        var h = _txBlockHeight(found);
+        if (h != null && (tipHeight == null || h > tipHeight)) tipHeight = h;
+
+        var status = _txChainStatus(found);
+        if (status === "orphaned") { orphaned(found, "status " + found.status); return; }
+        setStatus("seen", found);
+        if (status === "included") setStatus("included", found);
+        if (!isFinal(found)) return;
+        if (wantsDepth) setStatus("confirmed", found);
+        finish(null, found);
+      }
 
-        if (attempt <= 3 || attempt % 10 === 0) {
-          console.log("[usernode-bridge] waitForTx poll #" + attempt + ", " + items.length + " items, no match yet (via " + transportLabel + ")");
-        }
+      // An included tx that a page spanning its timestamp no longer lists
+      // has left the chain (its block was reorged away without the explorer
+      // tagging it orphaned).
+      function checkDropout(items) {
+        if (!tracked || _txBlockHeight(tracked) == null) return;
+        var trackedTime = extractTxTimestampMs(tracked);
+        if (typeof trackedTime !== "number") return;
+        var spans = items.some(function (tx) {
+          var t = extractTxTimestampMs(tx);
+          return typeof t === "number" && t < trackedTime;
+        });
+        if (!spans) return;
+        missedPolls++;
+        if (missedPolls >= _DROPOUT_POLLS) orphaned(tracked, "no longer listed");
+      }
 
-        if (Date.now() - startedAt >= timeoutMs) {
-          var details = [
-            expected.txId ? "txId=" + expected.txId : null,
-            expected.memo != null ? "memo=" + expected.memo : null,
-          ]
-            .filter(Boolean)
-            .join(", ");
-          console.warn("[usernode-bridge] waitForTx timed out (via " + transportLabel + "). expected:", JSON.stringify(expected));
-          if (items.length > 0) {
-            console.warn("[usernode-bridge] last poll sample (first item):", JSON.stringify(items[0]));
-          }
-          throw new Error(
-            "Timed out waiting for transaction to appear (" + timeoutMs + "ms, " + attempt + " polls via " + transportLabel + (details ? ", " + details : "") + ")"
-          );
-        }
-        return sleep(pollIntervalMs).then(poll);
+      // Push fast path: the server cache's SSE stream delivers the matching
+      // tx as soon as it is ingested, instead of after the next poll.
+      if (_serverCacheUrl() && typeof window.EventSource === "function") {
+        stream = _openSubscription(query, function (tx) {
+          if (!settled && isOurs(tx)) onMatch(tx, "server-cache stream");
+        });
+      }
+
+      function poll() {
+        if (settled) return;
+        attempt++;
+        Promise.all([
+          _fetchInclusionPage(query),
+          tracked && confirmations > 0 ? _fetchTipHeight() : null,
+        ]).then(function (results) {
+          if (settled) return;
+          var resp = results[0];
+          if (results[1] != null && (tipHeight == null || results[1] > tipHeight)) tipHeight = results[1];
+          var items = normalizeTransactionsResponse(resp);
+          var found = null;
+          for (var i = 0; i < items.length; i++) {
+            var h = _txBlockHeight(items[i]);
+            if (h != null && (tipHeight == null || h > tipHeight)) tipHeight = h;
+            if (!found && isOurs(items[i])) found = items[i];
+          }
+          if (found) onMatch(found, transportLabel);
+          else checkDropout(items);
+          if (settled) return;
+
+          if (!tracked && (attempt <= 3 || attempt % 10 === 0)) {
+            console.log("[usernode-bridge] waitForTx poll #" + attempt + ", " + items.length + " items, no match yet (via " + transportLabel + ")");
+          }
+
+          if (Date.now() - startedAt >= timeoutMs) {
+            var details = [
+              expected.txId ? "txId=" + expected.txId : null,
+              expected.memo != null ? "memo=" + expected.memo : null,
+            ]
+              .filter(Boolean)
+              .join(", ");
+            console.warn("[usernode-bridge] waitForTx timed out (via " + transportLabel + "). expected:", JSON.stringify(expected));
+            if (items.length > 0) {
+              console.warn("[usernode-bridge] last poll sample (first item):", JSON.stringify(items[0]));
+            }
+            var what = tracked
+              ? "Timed out waiting for transaction to confirm (" + depthOf(tracked) + "/" + confirmations + " confirmations, "
+              : "Timed out waiting for transaction to appear (";
+            finish(new UsernodeError(
+              ERROR_CODES.INCLUSION_TIMEOUT,
+              what + timeoutMs + "ms, " + attempt + " polls via " + transportLabel + (details ? ", " + details : "") + ")",
+              {
+                transport: transportLabel,
+                attempts: attempt,
+                timeoutMs: timeoutMs,
+                expected: Object.assign({}, expected),
+                lastStatus: lastStatus,
+                tx: tracked,
+              }
+            ));
+            return;
+          }
+          var wait = tracked
+            ? Math.max(pollIntervalMs, _CONFIRM_POLL_MS)
+            : stream && stream.isLive()
+              ? Math.max(pollIntervalMs, _STREAM_SAFETY_POLL_MS)
+              : pollIntervalMs;
+          pollTimer = setTimeout(poll, Math.min(wait, Math.max(0, timeoutMs - (Date.now() - startedAt))));
+        }).catch(function (err) {
+          if (settled) return;
+          var remaining = timeoutMs - (Date.now() - startedAt);
+          if (_isTransientHttpError(err) && remaining > 0) {
+            console.warn("[usernode-bridge] waitForTx poll #" + attempt + " failed (" + err.details.status + "), retrying");
+            pollTimer = setTimeout(poll, Math.min(Math.max(pollIntervalMs, _TRANSIENT_RETRY_MS), remaining));
+            return;
+          }
+          finish(err);
+        });
+      }
+      poll();
+    });
+  }
+
+  // ── Persistent outbox ─────────────────────────────────────────────────
+  //
+  // Every send the bridge is waiting on is mirrored into localStorage
+  // (`usernode:outbox`) from the moment it is submitted until its inclusion
+  // wait settles. If the page reloads or the WebView is killed mid-wait, the
+  // next load picks the entries back up, resumes inclusion polling until
+  // each one's original deadline, and reports the outcome through
+  // usernode.onRecovered(cb). Sends made with waitForInclusion:false are not
+  // tracked — the dapp opted out of confirmation, so there is nothing to
+  // resume.
+  //
+  // The outbox is shared by every tab of the origin, so each entry names
+  // the tab that owns it. Live tabs stamp a heartbeat into
+  // `usernode:outbox:tabs`; a tab only resumes entries whose owner has
+  // stopped beating (closed, reloaded, killed), and claims them first.
+  // Mock entries also record the mock identity that sent them and are only
+  // resumed by a tab acting as that identity.
+  //
+  // Entry shape: { key, owner, identity, transport, txId, destination_pubkey,
+  //   amount, memo, from_pubkey, minCreatedAtMs, submittedAtMs, expiresAtMs,
+  //   filterOptions, confirmations, requireCanonical }
+  var _OUTBOX_KEY = "usernode:outbox";
+  var _OUTBOX_TABS_KEY = "usernode:outbox:tabs";
+  var _OUTBOX_HEARTBEAT_MS = 5000;
+  var _OUTBOX_STALE_MS = 15000;
+  var _DEFAULT_INCLUSION_TIMEOUT_MS = 180000;
+  var _TAB_ID = "tab_" + Date.now().toString(36) + "_" + randomHex(4);
+  // Keys this tab is waiting on right now, live or resumed.
+  var _outboxWaiting = {};
+
+  function _outboxRead() {
+    try {
+      var list = JSON.parse(window.localStorage.getItem(_OUTBOX_KEY) || "[]");
+      return Array.isArray(list) ? list : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  function _outboxWrite(list) {
+    try {
+      if (list.length) window.localStorage.setItem(_OUTBOX_KEY, JSON.stringify(list));
+      else window.localStorage.removeItem(_OUTBOX_KEY);
+    } catch (e) {
+      // Storage full / disabled (private mode): the send still works, it
+      // just won't survive a reload.
+      console.warn("[usernode-bridge] outbox write failed:", e && e.message);
+    }
+  }
+
+  function _outboxAdd(fields) {
+    var entry = Object.assign({
+      key: "ob_" + Date.now() + "_" + randomHex(4),
+      owner: _TAB_ID,
+      identity: fields.transport === "mock" ? _mockActiveIdentity() : null,
+    }, fields);
+    var list = _outboxRead();
+    list.push(entry);
+    _outboxWrite(list);
+    _outboxWaiting[entry.key] = true;
+    return entry;
+  }
+
+  function _outboxRemove(key) {
+    delete _outboxWaiting[key];
+    _outboxWrite(_outboxRead().filter(function (e) { return e.key !== key; }));
+  }
+
+  function _outboxTabs() {
+    return _readJsonMap(_OUTBOX_TABS_KEY);
+  }
+
+  function _outboxBeat(leaving) {
+    try {
+      var tabs = _outboxTabs();
+      var now = Date.now();
+      Object.keys(tabs).forEach(function (id) {
+        if (!(now - tabs[id] < _OUTBOX_STALE_MS * 4)) delete tabs[id];
       });
+      if (leaving) delete tabs[_TAB_ID];
+      else tabs[_TAB_ID] = now;
+      window.localStorage.setItem(_OUTBOX_TABS_KEY, JSON.stringify(tabs));
+    } catch (_) {}
+  }
+
+  // True when no live tab other than this one is waiting on the entry.
+  function _outboxOrphaned(entry, tabs) {
+    if (!entry.owner || entry.owner === _TAB_ID) return true;
+    return !(Date.now() - (tabs[entry.owner] || 0) < _OUTBOX_STALE_MS);
+  }
+
+  // Takes ownership of an orphaned entry; false if another tab got there first.
+  function _outboxClaim(key) {
+    var list = _outboxRead();
+    var tabs = _outboxTabs();
+    var entry = list.filter(function (e) { return e.key === key; })[0];
+    if (!entry || !_outboxOrphaned(entry, tabs)) return false;
+    entry.owner = _TAB_ID;
+    _outboxWrite(list);
+    var stored = _outboxRead().filter(function (e) { return e.key === key; })[0];
+    return !!stored && stored.owner === _TAB_ID;
+  }
+
+  function _outboxExpected(entry) {
+    return {
+      txId: entry.txId || null,
+      minCreatedAtMs: entry.minCreatedAtMs,
+      memo: entry.memo == null ? null : String(entry.memo),
+      nonce: memoNonce(entry.memo),
+      destination_pubkey: entry.destination_pubkey == null ? null : String(entry.destination_pubkey),
+      from_pubkey: entry.from_pubkey || null,
+      amount: entry.amount,
+    };
+  }
+
+  // waitForTransactionVisible wrapped in an outbox entry: recorded before
+  // the wait starts, removed once it settles either way (the live page has
+  // reported the outcome, so there is nothing left to recover).
+  function waitForTransactionTracked(transport, expected, opts) {
+    var timeoutMs = opts && typeof opts.timeoutMs === "number"
+      ? opts.timeoutMs
+      : _DEFAULT_INCLUSION_TIMEOUT_MS;
+    var entry = _outboxAdd({
+      transport: transport,
+      txId: expected.txId || null,
+      destination_pubkey: expected.destination_pubkey,
+      amount: expected.amount,
+      memo: expected.memo,
+      from_pubkey: expected.from_pubkey || null,
+      minCreatedAtMs: expected.minCreatedAtMs,
+      submittedAtMs: Date.now(),
+      expiresAtMs: Date.now() + timeoutMs,
+      filterOptions: (opts && opts.filterOptions) || null,
+      confirmations: (opts && opts.confirmations) || 0,
+      requireCanonical: !!(opts && opts.requireCanonical),
+    });
+    return waitForTransactionVisible(expected, opts).then(function (tx) {
+      _outboxRemove(entry.key);
+      return tx;
+    }, function (err) {
+      _outboxRemove(entry.key);
+      throw err;
+    });
+  }
+
+  window.usernode.getPendingTransactions = function getPendingTransactions() {
+    return _outboxRead().map(function (e) { return Object.assign({}, e); });
+  };
+
+  // Recovered outcomes are buffered so a dapp that registers after the
+  // bridge finished resuming (slow init, lazy module) still hears about them.
+  var _recoveredListeners = [];
+  var _recoveredResults = [];
+
+  function _emitRecovered(result) {
+    _recoveredResults.push(result);
+    for (var i = 0; i < _recoveredListeners.length; i++) {
+      try { _recoveredListeners[i](result); }
+      catch (e) { console.warn("[usernode-bridge] onRecovered callback threw:", e); }
     }
-    return poll();
+  }
+
+  // cb({ status: "confirmed" | "expired" | "orphaned", entry, tx, error? }) → unsubscribe()
+  window.usernode.onRecovered = function onRecovered(cb) {
+    if (typeof cb !== "function") return function () {};
+    _recoveredListeners.push(cb);
+    _recoveredResults.forEach(function (result) {
+      try { cb(result); }
+      catch (e) { console.warn("[usernode-bridge] onRecovered callback threw:", e); }
+    });
+    return function () {
+      var idx = _recoveredListeners.indexOf(cb);
+      if (idx >= 0) _recoveredListeners.splice(idx, 1);
+    };
+  };
+
+  // Resume inclusion polling for entries left behind by a tab that is gone
+  // (a previous load of this page, or another tab that closed). Runs at load
+  // and again on every heartbeat, so entries owned by a tab that is still
+  // open are picked up once it stops beating. Past-deadline entries still
+  // get one final poll before expiring. A poll error before the deadline
+  // (e.g. the dapp hasn't configured its transactions transport yet) leaves
+  // the entry for the next load.
+  function resumeOutbox() {
+    var tabs = _outboxTabs();
+    var identity = _mockActiveIdentity();
+    var entries = _outboxRead().filter(function (e) {
+      if (_outboxWaiting[e.key] || !_outboxOrphaned(e, tabs)) return false;
+      if (e.transport === "mock" && e.identity && e.identity !== identity) return false;
+      return _outboxClaim(e.key);
+    });
+    if (!entries.length) return;
+    console.log("[usernode-bridge] resuming", entries.length, "pending transaction(s) from outbox");
+    entries.forEach(function (entry) {
+      _outboxWaiting[entry.key] = true;
+      waitForTransactionVisible(_outboxExpected(entry), {
+        timeoutMs: Math.max(0, (entry.expiresAtMs || 0) - Date.now()),
+        pollIntervalMs: 2000,
+        filterOptions: entry.filterOptions || undefined,
+        confirmations: entry.confirmations || 0,
+        requireCanonical: !!entry.requireCanonical,
+      }).then(function (tx) {
+        _outboxRemove(entry.key);
+        _emitRecovered({ status: "confirmed", entry: entry, tx: tx });
+      }, function (err) {
+        if (err && err.code === ERROR_CODES.ORPHANED) {
+          _outboxRemove(entry.key);
+          _emitRecovered({ status: "orphaned", entry: entry, tx: err.details.tx, error: err });
+          return;
+        }
+        if (Date.now() < (entry.expiresAtMs || 0)) {
+          console.warn("[usernode-bridge] outbox resume failed, will retry next load:", err && err.message);
+          return;
+        }
+        _outboxRemove(entry.key);
+        _emitRecovered({ status: "expired", entry: entry, tx: null, error: err });
+      });
+    });
   }
 
   function randomHex(bytes) {
@@ -565,14 +1588,172 @@
     return Array.from(a, function (b) { return b.toString(16).padStart(2, "0"); }).join("");
   }
 
+  // Pubkey of the active mock identity (see "Mock identities" below),
+  // minted on first use.
   function getOrCreateMockPubkey() {
-    var key = "usernode:mockPubkey";
-    var v = window.localStorage.getItem(key);
-    if (!v) {
-      v = "mockpk_" + randomHex(16);
-      window.localStorage.setItem(key, v);
+    return _mockResolveIdentity(_mockActiveIdentity());
+  }
+
+  // ── Mock identities ────────────────────────────────────────────────────
+  //
+  // Mock mode can hold several named identities so one browser can play
+  // every side of a dapp. Named keys live in localStorage
+  // (`usernode:mockIdentities`, name → pubkey) so every tab sees the same
+  // set; which one is active is per-tab (sessionStorage), so two tabs can
+  // be two players. "default" is the original per-origin
+  // `usernode:mockPubkey` and is active until the dapp switches.
+  //
+  // Each identity is backed by an Ed25519 keypair minted with WebCrypto:
+  // the pubkey is "mockpk_" + hex(raw public key), and the PKCS#8 private
+  // key sits in `usernode:mockKeys`. That lets mock signMessage produce
+  // real signatures that verifyMessage (and, with localDev, the server's
+  // verifySignedMessage) check from the pubkey alone. Where WebCrypto has
+  // no Ed25519 the bridge falls back to random, unsigned pubkeys. Identities
+  // from before keys existed keep their unsigned pubkey until the dapp (or
+  // the developer) calls mock.rekeyIdentity, which mints a new address.
+  var _MOCK_IDENTITIES_KEY = "usernode:mockIdentities";
+  var _MOCK_ACTIVE_KEY = "usernode:mockIdentity";
+  var _MOCK_DEFAULT_IDENTITY = "default";
+  var _MOCK_DEFAULT_PUBKEY_KEY = "usernode:mockPubkey";
+  var _MOCK_KEYS_KEY = "usernode:mockKeys";
+  var _MOCK_KEYED_PUBKEY_RE = /^mockpk_([0-9a-f]{64})$/;
+
+  function _sessionStore() {
+    try { return window.sessionStorage || window.localStorage; }
+    catch (_) { return window.localStorage; }
+  }
+
+  function _readJsonMap(key) {
+    try {
+      var map = JSON.parse(window.localStorage.getItem(key) || "{}");
+      return map && typeof map === "object" ? map : {};
+    } catch (_) {
+      return {};
+    }
+  }
+
+  function _mockReadIdentities() {
+    return _readJsonMap(_MOCK_IDENTITIES_KEY);
+  }
+
+  function _mockActiveIdentity() {
+    var name = null;
+    try { name = _sessionStore().getItem(_MOCK_ACTIVE_KEY); } catch (_) {}
+    return name || _MOCK_DEFAULT_IDENTITY;
+  }
+
+  // Stored pubkey for `name`, or null if it hasn't been minted yet.
+  function _mockStoredPubkey(name) {
+    if (name === _MOCK_DEFAULT_IDENTITY) return window.localStorage.getItem(_MOCK_DEFAULT_PUBKEY_KEY);
+    return _mockReadIdentities()[name] || null;
+  }
+
+  function _mockStorePubkey(name, pubkey) {
+    if (name === _MOCK_DEFAULT_IDENTITY) {
+      window.localStorage.setItem(_MOCK_DEFAULT_PUBKEY_KEY, pubkey);
+      return;
+    }
+    var map = _mockReadIdentities();
+    map[name] = pubkey;
+    window.localStorage.setItem(_MOCK_IDENTITIES_KEY, JSON.stringify(map));
+  }
+
+  function _bytesToHex(bytes) {
+    return Array.from(bytes, function (b) { return b.toString(16).padStart(2, "0"); }).join("");
+  }
+
+  function _hexToBytes(hex) {
+    var out = new Uint8Array(hex.length / 2);
+    for (var i = 0; i < out.length; i++) out[i] = parseInt(hex.substr(i * 2, 2), 16);
+    return out;
+  }
+
+  function _bytesToBase64(bytes) {
+    var bin = "";
+    for (var i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+    return btoa(bin);
+  }
+
+  // Accepts standard or URL-safe base64, padded or not. Null when malformed.
+  function _base64ToBytes(text) {
+    try {
+      var b64 = String(text).replace(/-/g, "+").replace(/_/g, "/");
+      while (b64.length % 4) b64 += "=";
+      var bin = atob(b64);
+      var out = new Uint8Array(bin.length);
+      for (var i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+      return out;
+    } catch (_) {
+      return null;
     }
-    return v;
+  }
+
+  function _subtle() {
+    return window.crypto && window.crypto.subtle ? window.crypto.subtle : null;
+  }
+
+  // Latches once keygen fails, so unsupported browsers don't retry on
+  // every call.
+  var _mockKeygenUnsupported = false;
+
+  // Resolves a fresh keyed pubkey (private key already stored), or null
+  // when WebCrypto can't do Ed25519.
+  function _mockGenerateKeyedPubkey() {
+    var subtle = _subtle();
+    if (!subtle || _mockKeygenUnsupported) return Promise.resolve(null);
+    return subtle.generateKey({ name: "Ed25519" }, true, ["sign", "verify"]).then(function (pair) {
+      return Promise.all([
+        subtle.exportKey("raw", pair.publicKey),
+        subtle.exportKey("pkcs8", pair.privateKey),
+      ]);
+    }).then(function (exported) {
+      var pubkey = "mockpk_" + _bytesToHex(new Uint8Array(exported[0]));
+      var keys = _readJsonMap(_MOCK_KEYS_KEY);
+      keys[pubkey] = _bytesToBase64(new Uint8Array(exported[1]));
+      window.localStorage.setItem(_MOCK_KEYS_KEY, JSON.stringify(keys));
+      return pubkey;
+    }).catch(function (e) {
+      _mockKeygenUnsupported = true;
+      console.warn("[usernode-bridge] Ed25519 unavailable, mock signatures will be unsigned:", e && e.message);
+      return null;
+    });
+  }
+
+  // Concurrent resolutions of the same name share one mint.
+  var _mockMinting = {};
+
+  // An identity keeps its pubkey once stored, keyed or not: its mock txs,
+  // balance and username live under it. Only `rekey` (mock.rekeyIdentity)
+  // replaces an existing one.
+  function _mockResolveIdentity(name, rekey) {
+    var existing = _mockStoredPubkey(name);
+    if (existing && !rekey) return Promise.resolve(existing);
+    if (_mockMinting[name]) return _mockMinting[name];
+    _mockMinting[name] = _mockGenerateKeyedPubkey().then(function (pubkey) {
+      delete _mockMinting[name];
+      if (!pubkey) {
+        if (existing) return existing;
+        pubkey = "mockpk_" + randomHex(16);
+      } else if (existing) {
+        console.log("[usernode-bridge] mock identity", name, "re-keyed:", existing, "→", pubkey);
+      }
+      _mockStorePubkey(name, pubkey);
+      return pubkey;
+    });
+    return _mockMinting[name];
+  }
+
+  // Base64 Ed25519 signature over the UTF-8 message, or null when `pubkey`
+  // has no stored private key.
+  function _mockSign(pubkey, message) {
+    var pkcs8 = _readJsonMap(_MOCK_KEYS_KEY)[pubkey];
+    var subtle = _subtle();
+    if (!pkcs8 || !subtle) return Promise.resolve(null);
+    return subtle.importKey("pkcs8", _base64ToBytes(pkcs8), { name: "Ed25519" }, false, ["sign"])
+      .then(function (key) {
+        return subtle.sign({ name: "Ed25519" }, key, new TextEncoder().encode(String(message)));
+      })
+      .then(function (sig) { return _bytesToBase64(new Uint8Array(sig)); });
   }
 
   // ── Mock-mode detection ────────────────────────────────────────────────
@@ -592,15 +1773,111 @@
     });
   }
 
-  window.usernode.isMockEnabled = isMockEnabled;
+  window.usernode.isMockEnabled = isMockEnabled;
+
+  // ── QR mode detection ──────────────────────────────────────────────────
+  // Returns true when we're in a regular desktop browser (not native, not mock).
+  function isQrMode() {
+    if (window.usernode.isNative) return Promise.resolve(false);
+    return isMockEnabled().then(function (mock) { return !mock; });
+  }
+
+  // ── Capabilities ───────────────────────────────────────────────────────
+  //
+  // window.usernode.getCapabilities()
+  //   → Promise<{ transport, hostVersion, methods, features }>
+  //
+  // Native hosts answer a `getCapabilities` call with { version, methods,
+  // features }; through the iframe relay `methods` is narrowed to what the
+  // relaying pages allow. Mock mode asks the dapp server
+  // (/__mock/capabilities) and QR mode describes itself. Answers are cached
+  // per transport, and the native probe starts as soon as the channel (or
+  // the relay ack) is there, so the first gated call rarely waits on it.
+  // `methods: null` is a host that predates getCapabilities (it errored or
+  // never answered within 3 s): nothing is known, so nothing is gated.
+  var _CAPABILITIES_TIMEOUT_MS = 3000;
+  // A host that let the probe time out is remembered for the rest of the
+  // tab's session (sessionStorage), so reloads don't pay the 3 s again.
+  var _LEGACY_HOST_KEY = "usernode:legacyHost:";
+  var _MOCK_METHODS = ["getNodeAddress", "sendTransaction", "sendTransactions", "signMessage"];
+  var _QR_METHODS = ["getNodeAddress", "sendTransaction", "sendTransactions"];
+  var _capabilityPromises = {};
+  var _capabilityResults = {};
+
+  function _normalizeCapabilities(transport, raw) {
+    raw = raw && typeof raw === "object" ? raw : {};
+    return {
+      transport: transport,
+      hostVersion: raw.version != null ? String(raw.version) : null,
+      methods: Array.isArray(raw.methods) ? raw.methods.map(String) : null,
+      features: raw.features && typeof raw.features === "object" ? raw.features : {},
+    };
+  }
+
+  function _fetchCapabilities(transport) {
+    if (transport === "qr") {
+      return Promise.resolve({ version: null, methods: _QR_METHODS, features: { confirmTitle: true } });
+    }
+    if (transport === "mock") {
+      return fetch("/__mock/capabilities", { method: "GET" }).then(function (resp) {
+        return resp.ok ? resp.json() : null;
+      }).catch(function () { return null; }).then(function (raw) {
+        // Dapp servers from before /__mock/capabilities serve the rest.
+        return raw || { version: "mock", methods: _MOCK_METHODS, features: {} };
+      });
+    }
+    if (_legacyHostKnown(transport)) return Promise.resolve(null);
+    return _postNative("getCapabilities", {}, _CAPABILITIES_TIMEOUT_MS).then(null, function (err) {
+      console.warn("[usernode-bridge] getCapabilities failed, assuming a legacy host:", err && err.message);
+      try { _capabilityStore().setItem(_LEGACY_HOST_KEY + transport, "1"); } catch (_) { /* storage unavailable */ }
+      return null;
+    });
+  }
+
+  function _capabilityStore() {
+    try { return window.sessionStorage || window.localStorage; }
+    catch (_) { return window.localStorage; }
+  }
+
+  function _legacyHostKnown(transport) {
+    try { return _capabilityStore().getItem(_LEGACY_HOST_KEY + transport) === "1"; }
+    catch (_) { return false; }
+  }
 
-  // ── QR mode detection ──────────────────────────────────────────────────
-  // Returns true when we're in a regular desktop browser (not native, not mock).
-  function isQrMode() {
-    if (window.usernode.isNative) return Promise.resolve(false);
-    return isMockEnabled().then(function (mock) { return !mock; });
+  function _capabilitiesFor(transport) {
+    if (!_capabilityPromises[transport]) {
+      _capabilityPromises[transport] = _fetchCapabilities(transport).then(function (raw) {
+        var caps = _normalizeCapabilities(transport, raw);
+        _capabilityResults[transport] = caps;
+        return caps;
+      });
+    }
+    return _capabilityPromises[transport];
+  }
+
+  // Rejects with UNSUPPORTED when `transport` is known not to offer `method`.
+  function _requireMethod(transport, method) {
+    return _capabilitiesFor(transport).then(function (caps) {
+      if (!caps.methods || caps.methods.indexOf(method) >= 0) return caps;
+      throw new UsernodeError(
+        ERROR_CODES.UNSUPPORTED,
+        method + " is not supported by this host" + (caps.hostVersion ? " (" + caps.hostVersion + ")" : ""),
+        { transport: transport, method: method, hostVersion: caps.hostVersion }
+      );
+    });
   }
 
+  // Same transport order as the send dispatchers: mock, native, QR.
+  window.usernode.getCapabilities = function getCapabilities() {
+    return isMockEnabled().then(function (useMock) {
+      if (useMock) return _capabilitiesFor("mock");
+      if (window.usernode.isNative) return _capabilitiesFor(_nativeTransport());
+      return _capabilitiesFor("qr");
+    }).then(function (caps) {
+      return Object.assign({}, caps, { methods: caps.methods && caps.methods.slice() });
+    });
+  };
+
   // =====================================================================
   //  QR Code encoder
   //
@@ -3004,7 +4281,11 @@
     btn.onclick = function () {
       hideQrModal();
       if (_qrCancelReject) {
-        _qrCancelReject(new Error("User cancelled QR transaction"));
+        _qrCancelReject(new UsernodeError(
+          ERROR_CODES.USER_REJECTED,
+          "User cancelled QR transaction",
+          { transport: "qr" }
+        ));
         _qrCancelReject = null;
       }
     };
@@ -3033,7 +4314,7 @@
 
   // ── QR sendTransaction ─────────────────────────────────────────────────
   function qrSendTransaction(destination_pubkey, amount, memo, opts) {
-    var timeoutMs = (opts && typeof opts.timeoutMs === "number") ? opts.timeoutMs : 180000;
+    var timeoutMs = (opts && typeof opts.timeoutMs === "number") ? opts.timeoutMs : _DEFAULT_INCLUSION_TIMEOUT_MS;
     var pollIntervalMs = (opts && typeof opts.pollIntervalMs === "number") ? opts.pollIntervalMs : 2000;
 
     var payload = {
@@ -3046,19 +4327,72 @@
     if (opts && opts.confirmSubtitle) payload.confirmSubtitle = opts.confirmSubtitle;
 
     return new Promise(function (resolve, reject) {
-      _qrCancelReject = reject;
-
-      showQrModal(payload, opts);
-
       var startedAt = Date.now();
       var attempt = 0;
       var stopped = false;
 
+      // The QR flow never learns a tx id, so the outbox entry matches on
+      // destination + memo (same as the poll below), scoped to the
+      // destination account since the sender is whoever scans the code.
+      var outboxEntry = _outboxAdd({
+        transport: "qr",
+        txId: null,
+        destination_pubkey: destination_pubkey,
+        amount: payload.amount,
+        memo: payload.memo,
+        from_pubkey: null,
+        minCreatedAtMs: startedAt - 5000,
+        submittedAtMs: startedAt,
+        expiresAtMs: startedAt + timeoutMs,
+        filterOptions: { account: destination_pubkey },
+        confirmations: (opts && opts.confirmations) || 0,
+        requireCanonical: !!(opts && opts.requireCanonical),
+      });
+      var signal = _signalOf(opts);
+      var tracksStatus = !!(opts && (opts.confirmations > 0 || opts.requireCanonical || opts.onStatusChange));
+
+      function done(result) {
+        _outboxRemove(outboxEntry.key);
+        if (signal) signal.removeEventListener("abort", onAbort);
+        resolve(result);
+      }
+
+      // Shared by the modal's Cancel button and opts.signal: both stop the
+      // poll loop, drop the outbox entry and reject.
+      function fail(err) {
+        if (stopped) return;
+        stopped = true;
+        hideQrModal();
+        _qrCancelReject = null;
+        _outboxRemove(outboxEntry.key);
+        if (signal) signal.removeEventListener("abort", onAbort);
+        reject(err);
+      }
+
+      function onAbort() {
+        console.log("[usernode-bridge] QR tx aborted after", attempt, "polls");
+        fail(_abortError());
+      }
+
+      _qrCancelReject = fail;
+
+      if (signal) {
+        if (signal.aborted) { onAbort(); return; }
+        signal.addEventListener("abort", onAbort);
+      }
+
+      showQrModal(payload, opts);
+
       function pollForTx() {
         if (stopped) return;
         attempt++;
 
         var query = { limit: 50, account: destination_pubkey };
+        var expected = {
+          memo: memo || "",
+          nonce: memoNonce(memo),
+          destination_pubkey: destination_pubkey,
+        };
 
         window.getTransactions(query).then(function (resp) {
           if (stopped) return;
@@ -3069,14 +4403,27 @@
             var txTime = extractTxTimestampMs(tx);
             if (txTime && txTime < startedAt - 10000) continue;
 
-            var txMemo = tx.memo == null ? null : String(tx.memo);
-            var txDest = pickFirst(tx, ["destination_pubkey", "destination", "to"]);
-            if (txDest && String(txDest) === destination_pubkey && txMemo === (memo || "")) {
+            if (txMatches(tx, expected)) {
               stopped = true;
               hideQrModal();
               _qrCancelReject = null;
               console.log("[usernode-bridge] QR tx confirmed after", attempt, "polls");
-              resolve({ queued: true, tx: tx });
+              if (!tracksStatus) {
+                done({ queued: true, tx: tx });
+                return;
+              }
+              // Depth / status tracking: hand the now-identified tx to the
+              // regular inclusion wait for whatever time is left.
+              waitForTransactionVisible(Object.assign({ txId: extractTxId(tx) }, expected), Object.assign({}, opts, {
+                filterOptions: { account: destination_pubkey },
+                timeoutMs: Math.max(0, timeoutMs - (Date.now() - startedAt)),
+              })).then(function (confirmedTx) {
+                done({ queued: true, tx: confirmedTx });
+              }, function (err) {
+                _outboxRemove(outboxEntry.key);
+                if (signal) signal.removeEventListener("abort", onAbort);
+                reject(err);
+              });
               return;
             }
           }
@@ -3089,7 +4436,7 @@
             stopped = true;
             hideQrModal();
             _qrCancelReject = null;
-            resolve({ queued: true, tx: null });
+            done({ queued: true, tx: null });
             return;
           }
 
@@ -3101,7 +4448,7 @@
             stopped = true;
             hideQrModal();
             _qrCancelReject = null;
-            resolve({ queued: true, tx: null });
+            done({ queued: true, tx: null });
             return;
           }
           setTimeout(pollForTx, pollIntervalMs);
@@ -3116,25 +4463,224 @@
   //  Public API: getNodeAddress
   // =====================================================================
   if (typeof window.getNodeAddress !== "function") {
-    if (window.usernode.isNative) {
-      window.getNodeAddress = function getNodeAddress() {
-        return callNative("getNodeAddress");
+    // Checked per call rather than at load: in an iframe, isNative only
+    // flips once the relay handshake completes.
+    window.getNodeAddress = function getNodeAddress() {
+      if (window.usernode.isNative) return callNative("getNodeAddress");
+      if (_configuredAddress) return Promise.resolve(_configuredAddress);
+      // A switched-to mock identity beats the legacy mockAddress override.
+      if (_mockActiveIdentity() !== _MOCK_DEFAULT_IDENTITY) return getOrCreateMockPubkey();
+      var override = window.localStorage.getItem("usernode:mockAddress");
+      return override ? Promise.resolve(override) : getOrCreateMockPubkey();
+    };
+  }
+
+  // =====================================================================
+  //  Public API: mock identities
+  // =====================================================================
+  //
+  // window.usernode.mock.createIdentity(name)  → Promise<pubkey> (existing one if taken)
+  // window.usernode.mock.switchIdentity(name)  → Promise<pubkey>; creates it if new
+  // window.usernode.mock.rekeyIdentity(name?)  → Promise<pubkey>; a new keyed pubkey
+  //                                              (default: the active identity)
+  // window.usernode.mock.listIdentities()      → [{ name, pubkey, active }]
+  //                                              (pubkey null until first used)
+  // window.usernode.mock.getIdentity()         → Promise<{ name, pubkey }>
+  // window.usernode.mock.onIdentityChange(cb)  → unsubscribe()
+  // window.usernode.mock.showSwitcher()        → injects the dev widget
+  //
+  // getNodeAddress, signMessage and mock sends all read the active identity,
+  // so they follow a switch immediately. Dapps that cache the address at
+  // startup should listen with onIdentityChange; without any listener the
+  // widget reloads the page after switching instead.
+  var _identityListeners = [];
+
+  function _emitIdentityChange(change) {
+    _identityListeners.slice().forEach(function (cb) {
+      try { cb(change); }
+      catch (e) { console.warn("[usernode-bridge] onIdentityChange callback threw:", e); }
+    });
+    _renderIdentitySwitcher();
+  }
+
+  function _mockIdentityName(name) {
+    var trimmed = name == null ? "" : String(name).trim();
+    if (!trimmed) throw new TypeError("usernode.mock: identity name is required");
+    return trimmed;
+  }
+
+  window.usernode.mock = {
+    createIdentity: function createIdentity(name) {
+      try { name = _mockIdentityName(name); }
+      catch (e) { return Promise.reject(e); }
+      return _mockResolveIdentity(name);
+    },
+
+    switchIdentity: function switchIdentity(name) {
+      try { name = _mockIdentityName(name); }
+      catch (e) { return Promise.reject(e); }
+      var previous = { name: _mockActiveIdentity(), pubkey: _mockStoredPubkey(_mockActiveIdentity()) };
+      return _mockResolveIdentity(name).then(function (pubkey) {
+        if (name === _MOCK_DEFAULT_IDENTITY) _sessionStore().removeItem(_MOCK_ACTIVE_KEY);
+        else _sessionStore().setItem(_MOCK_ACTIVE_KEY, name);
+        if (previous.name !== name) {
+          console.log("[usernode-bridge] mock identity switched to", name, "(" + pubkey + ")");
+          _emitIdentityChange({ name: name, pubkey: pubkey, previous: previous });
+        }
+        return pubkey;
+      });
+    },
+
+    // Leaves the old address (and whatever the mock server holds for it)
+    // behind, so only on request.
+    rekeyIdentity: function rekeyIdentity(name) {
+      try { name = name == null ? _mockActiveIdentity() : _mockIdentityName(name); }
+      catch (e) { return Promise.reject(e); }
+      var previous = { name: name, pubkey: _mockStoredPubkey(name) };
+      return _mockResolveIdentity(name, true).then(function (pubkey) {
+        if (name === _mockActiveIdentity() && pubkey !== previous.pubkey) {
+          _emitIdentityChange({ name: name, pubkey: pubkey, previous: previous });
+        }
+        return pubkey;
+      });
+    },
+
+    listIdentities: function listIdentities() {
+      var active = _mockActiveIdentity();
+      var map = _mockReadIdentities();
+      var list = [{
+        name: _MOCK_DEFAULT_IDENTITY,
+        pubkey: _mockStoredPubkey(_MOCK_DEFAULT_IDENTITY),
+        active: active === _MOCK_DEFAULT_IDENTITY,
+      }];
+      Object.keys(map).forEach(function (name) {
+        list.push({ name: name, pubkey: map[name], active: name === active });
+      });
+      return list;
+    },
+
+    getIdentity: function getIdentity() {
+      var name = _mockActiveIdentity();
+      return getOrCreateMockPubkey().then(function (pubkey) {
+        return { name: name, pubkey: pubkey };
+      });
+    },
+
+    onIdentityChange: function onIdentityChange(cb) {
+      if (typeof cb !== "function") return function () {};
+      _identityListeners.push(cb);
+      return function () {
+        var idx = _identityListeners.indexOf(cb);
+        if (idx >= 0) _identityListeners.splice(idx, 1);
       };
-    } else {
-      window.getNodeAddress = function getNodeAddress() {
-        if (_configuredAddress) return Promise.resolve(_configuredAddress);
-        return Promise.resolve(
-          window.localStorage.getItem("usernode:mockAddress") ||
-          getOrCreateMockPubkey()
-        );
+    },
+
+    showSwitcher: function showSwitcher() {
+      _showIdentitySwitcher();
+    },
+  };
+
+  // ── Identity switcher widget ───────────────────────────────────────────
+  //
+  // A small floating panel (bottom-left) listing the mock identities with a
+  // "+" to add one. Only ever shown in mock mode: on request via
+  // usernode.mock.showSwitcher(), or automatically when the dapp calls
+  // usernode.configure({ mockIdentitySwitcher: true }).
+  var _identityWidget = null;
+
+  function _createIdentityWidgetStyles() {
+    if (document.getElementById("__usernode-id-styles")) return;
+    var style = document.createElement("style");
+    style.id = "__usernode-id-styles";
+    style.textContent = [
+      ".__un-id-widget{position:fixed;left:12px;bottom:12px;z-index:999998;display:flex;align-items:center;gap:6px;padding:6px 8px;border-radius:10px;background:#1a1f2e;color:#e7edf7;font:12px -apple-system,system-ui,sans-serif;box-shadow:0 4px 16px rgba(0,0,0,0.35);opacity:0.85}",
+      ".__un-id-widget:hover{opacity:1}",
+      "@media(prefers-color-scheme:light){.__un-id-widget{background:#fff;color:#0b1220;box-shadow:0 4px 16px rgba(0,0,0,0.15)}}",
+      ".__un-id-label{opacity:0.6}",
+      ".__un-id-select,.__un-id-add{font:inherit;color:inherit;background:none;border:1px solid rgba(127,127,127,0.35);border-radius:6px;padding:2px 6px;cursor:pointer}",
+    ].join("\n");
+    document.head.appendChild(style);
+  }
+
+  function _renderIdentitySwitcher() {
+    if (!_identityWidget) return;
+    var select = _identityWidget.querySelector(".__un-id-select");
+    if (!select) return;
+    select.innerHTML = "";
+    window.usernode.mock.listIdentities().forEach(function (identity) {
+      var option = document.createElement("option");
+      option.value = identity.name;
+      option.textContent = identity.pubkey
+        ? identity.name + " (" + identity.pubkey.slice(0, 14) + "…)"
+        : identity.name;
+      option.selected = identity.active;
+      select.appendChild(option);
+    });
+  }
+
+  function _switchFromWidget(name) {
+    var hadListeners = _identityListeners.length > 0;
+    window.usernode.mock.switchIdentity(name).then(function () {
+      if (!hadListeners) window.location.reload();
+    });
+  }
+
+  function _showIdentitySwitcher() {
+    if (_identityWidget) return;
+    isMockEnabled().then(function (useMock) {
+      if (!useMock || _identityWidget || !document.body) return;
+      _createIdentityWidgetStyles();
+
+      var widget = document.createElement("div");
+      widget.className = "__un-id-widget";
+
+      var label = document.createElement("span");
+      label.className = "__un-id-label";
+      label.textContent = "Mock identity";
+
+      var select = document.createElement("select");
+      select.className = "__un-id-select";
+      select.onchange = function () { _switchFromWidget(select.value); };
+
+      var add = document.createElement("button");
+      add.className = "__un-id-add";
+      add.textContent = "+";
+      add.title = "New identity";
+      add.onclick = function () {
+        var name = window.prompt("New identity name");
+        if (name && name.trim()) _switchFromWidget(name);
       };
-    }
+
+      widget.appendChild(label);
+      widget.appendChild(select);
+      widget.appendChild(add);
+      document.body.appendChild(widget);
+      _identityWidget = widget;
+      _renderIdentitySwitcher();
+    });
   }
 
   // =====================================================================
   //  Public API: sendTransaction
   // =====================================================================
 
+  // Mock endpoints 404 when the server isn't running --local-dev; any other
+  // non-2xx is a plain HTTP failure.
+  function _mockHttpError(status, text, method) {
+    if (status === 404) {
+      return new UsernodeError(
+        ERROR_CODES.MOCK_DISABLED,
+        "Mock API not enabled. Start server with `node server.js --local-dev`.",
+        { transport: "mock", method: method, status: status }
+      );
+    }
+    return new UsernodeError(
+      ERROR_CODES.TRANSPORT_HTTP,
+      "Mock " + method + " failed (" + status + "): " + text,
+      { transport: "mock", method: method, status: status, body: text }
+    );
+  }
+
   // Fired once after a successful submit (queued onto the chain or written
   // to the mock store), before inclusion polling begins. Lets latency-sensitive
   // dapps mark the moment the tx actually left the bridge so they can exclude
@@ -3176,10 +4722,7 @@
       }).then(function (resp) {
         if (!resp.ok) {
           return resp.text().then(function (text) {
-            if (resp.status === 404) {
-              throw new Error("Mock API not enabled. Start server with `node server.js --local-dev`.");
-            }
-            throw new Error("Mock sendTransaction failed (" + resp.status + "): " + text);
+            throw _mockHttpError(resp.status, text, "sendTransaction");
           });
         }
         return resp.json();
@@ -3194,6 +4737,7 @@
             txId: txId,
             minCreatedAtMs: startedAt,
             memo: memo == null ? null : String(memo),
+            nonce: memoNonce(memo),
             destination_pubkey: destination_pubkey == null ? null : String(destination_pubkey),
             from_pubkey: from ? String(from).trim() : null,
             amount: amount,
@@ -3205,6 +4749,7 @@
     // Rewrite mockSendTransaction to actually work (the above double-fetch was wrong)
     mockSendTransaction = function mockSendTransaction(destination_pubkey, amount, memo, opts) {
       var startedAt = Date.now();
+      var signal = _signalOf(opts);
       return window.getNodeAddress().then(function (addr) {
         return fetch("/__mock/sendTransaction", {
           method: "POST",
@@ -3215,29 +4760,32 @@
             amount: amount,
             memo: memo,
           }),
+          signal: signal || undefined,
         });
       }).then(function (resp) {
         if (!resp.ok) {
           return resp.text().then(function (text) {
-            if (resp.status === 404) {
-              throw new Error("Mock API not enabled. Start server with `node server.js --local-dev`.");
-            }
-            throw new Error("Mock sendTransaction failed (" + resp.status + "): " + text);
+            throw _mockHttpError(resp.status, text, "sendTransaction");
           });
         }
         return resp.json();
       }).then(function (sendResult) {
-        var sendFailed = sendResult && (sendResult.error || sendResult.queued === false);
+        // Refusals (an overdraft on the mock ledger, a fault) reject the way
+        // the native host's do.
+        var sendError = sendResult && sendResult.error;
+        if (sendError) throw _nativeError(sendError, "sendTransaction", "mock");
+        var sendFailed = sendResult && sendResult.queued === false;
         if (!sendFailed) fireOnSubmitted(opts, sendResult);
         var shouldWait =
           !sendFailed && (!opts || opts.waitForInclusion == null ? true : !!opts.waitForInclusion);
         if (!shouldWait) return sendResult;
         return window.getNodeAddress().then(function (from) {
           var txId = extractTxId(sendResult);
-          return waitForTransactionVisible({
+          return waitForTransactionTracked("mock", {
             txId: txId,
             minCreatedAtMs: startedAt,
             memo: memo == null ? null : String(memo),
+            nonce: memoNonce(memo),
             destination_pubkey: destination_pubkey == null ? null : String(destination_pubkey),
             from_pubkey: from ? String(from).trim() : null,
             amount: amount,
@@ -3251,26 +4799,27 @@
       var from_pubkey;
       return window.getNodeAddress().then(function (v) {
         from_pubkey = v == null ? null : String(v).trim();
-        return callNative("sendTransaction", {
+        return _raceAbort(callNative("sendTransaction", {
           destination_pubkey: destination_pubkey,
           amount: amount,
           memo: memo,
           confirm_title: (opts && opts.confirmTitle) || undefined,
           confirm_subtitle: (opts && opts.confirmSubtitle) || undefined,
-        });
+        }), _signalOf(opts));
       }).then(function (sendResult) {
         var sendError = sendResult && sendResult.error;
-        if (sendError) throw new Error(String(sendError));
+        if (sendError) throw _nativeError(sendError, "sendTransaction");
         var sendFailed = sendResult && sendResult.queued === false;
         if (!sendFailed) fireOnSubmitted(opts, sendResult);
         var shouldWait =
           !sendFailed && (!opts || opts.waitForInclusion == null ? true : !!opts.waitForInclusion);
         if (!shouldWait) return sendResult;
         var txId = extractTxId(sendResult);
-        return waitForTransactionVisible({
+        return waitForTransactionTracked("native", {
           txId: txId,
           minCreatedAtMs: startedAt,
           memo: memo == null ? null : String(memo),
+          nonce: memoNonce(memo),
           destination_pubkey: destination_pubkey == null ? null : String(destination_pubkey),
           from_pubkey: from_pubkey || null,
           amount: amount,
@@ -3279,10 +4828,269 @@
     }
 
     window.sendTransaction = function sendTransaction(destination_pubkey, amount, memo, opts) {
-      return isMockEnabled().then(function (useMock) {
-        if (useMock) return mockSendTransaction(destination_pubkey, amount, memo, opts);
-        if (window.usernode.isNative) return nativeSendTransaction(destination_pubkey, amount, memo, opts);
-        return qrSendTransaction(destination_pubkey, amount, memo, opts);
+      var signal = _signalOf(opts);
+      if (signal && signal.aborted) return Promise.reject(_abortError());
+
+      var idem = resolveIdempotency(
+        destination_pubkey + "|" + amount + "|" + (memo == null ? "" : String(memo)),
+        opts
+      );
+      if (idem) memo = stampMemoNonce(memo, idem.nonce);
+
+      return withIdempotencyGuard(idem, "sendTransaction", function () {
+        return isMockEnabled().then(function (useMock) {
+          if (useMock) return mockSendTransaction(destination_pubkey, amount, memo, opts);
+          if (window.usernode.isNative) return nativeSendTransaction(destination_pubkey, amount, memo, opts);
+          return qrSendTransaction(destination_pubkey, amount, memo, opts);
+        });
+      });
+    };
+  }
+
+  // =====================================================================
+  //  Public API: sendTransactions (batch)
+  // =====================================================================
+  //
+  // window.sendTransactions([{ destination_pubkey, amount, memo }, ...], opts?)
+  //   → Promise<[{ index, ok, queued, sendResult, tx, error }, ...]>
+  //
+  // Submits the whole list at once — one native `sendTransactions` call (a
+  // single confirm screen), one POST to /__mock/sendTransactions, or one
+  // multi-tx QR payload — then runs every item's inclusion wait in parallel.
+  // The promise only rejects when the submission as a whole fails (user
+  // declined, transport down, aborted); per-item failures (an item the node
+  // refused, an inclusion timeout) come back in that item's result with
+  // ok:false and a UsernodeError in `error`.
+  //
+  // opts: same as sendTransaction — timeoutMs, pollIntervalMs,
+  // waitForInclusion, confirmTitle/confirmSubtitle, signal, idempotencyKey,
+  // and onSubmitted(sendResults) fired once with the per-item submit results.
+  if (typeof window.sendTransactions !== "function") {
+    function normalizeBatch(list) {
+      if (!Array.isArray(list) || !list.length) {
+        throw new TypeError("sendTransactions: expected a non-empty array of transactions");
+      }
+      return list.map(function (item, i) {
+        if (!item || item.destination_pubkey == null || !String(item.destination_pubkey).trim()) {
+          throw new TypeError("sendTransactions: item " + i + " is missing destination_pubkey");
+        }
+        return {
+          destination_pubkey: String(item.destination_pubkey).trim(),
+          amount: item.amount,
+          memo: item.memo == null ? null : String(item.memo),
+        };
+      });
+    }
+
+    // Accepts `[...]` or `{ results: [...] }`; a bare `{ error }` is applied
+    // to every item.
+    function batchSendResults(resp, count) {
+      if (Array.isArray(resp)) return resp;
+      if (resp && Array.isArray(resp.results)) return resp.results;
+      var error = String((resp && resp.error) || "Unexpected sendTransactions response");
+      var out = [];
+      for (var i = 0; i < count; i++) out.push({ queued: false, error: error });
+      return out;
+    }
+
+    // hooks (QR only): waitOpts(item) → per-item wait options,
+    // onItem(result) → called as each item settles.
+    function awaitBatchInclusion(transport, items, sendResults, from_pubkey, startedAt, opts, hooks) {
+      var waitOpts = hooks && hooks.waitOpts;
+      // Two identical items (same destination, amount and memo) would
+      // otherwise both match the first of their txs to land.
+      var claims = {};
+      var onItem = (hooks && hooks.onItem) || function () {};
+      var shouldWait = !opts || opts.waitForInclusion == null ? true : !!opts.waitForInclusion;
+      return Promise.all(items.map(function (item, i) {
+        var sendResult = sendResults[i] == null ? null : sendResults[i];
+        var failed = !sendResult || !!sendResult.error || sendResult.queued === false;
+        var result = {
+          index: i,
+          ok: !failed,
+          queued: !failed,
+          sendResult: sendResult,
+          tx: null,
+          error: failed
+            ? _nativeError((sendResult && sendResult.error) || "Transaction was not queued", "sendTransactions", transport)
+            : null,
+        };
+        if (failed || !shouldWait) return result;
+        return waitForTransactionTracked(transport, {
+          txId: extractTxId(sendResult),
+          minCreatedAtMs: startedAt,
+          memo: item.memo,
+          nonce: memoNonce(item.memo),
+          destination_pubkey: item.destination_pubkey,
+          from_pubkey: from_pubkey || null,
+          amount: item.amount,
+        }, Object.assign({}, waitOpts ? waitOpts(item) : opts, { claims: claims })).then(function (matchedTx) {
+          result.tx = matchedTx;
+          result.sendResult = attachMatchedTx(sendResult, matchedTx);
+          onItem(result);
+          return result;
+        }, function (err) {
+          if (err && err.name === "AbortError") throw err;
+          result.ok = false;
+          result.error = err;
+          onItem(result);
+          return result;
+        });
+      }));
+    }
+
+    function mockSendTransactions(items, opts) {
+      var startedAt = Date.now();
+      var from_pubkey;
+      return _requireMethod("mock", "sendTransactions").then(function () {
+        return window.getNodeAddress();
+      }).then(function (addr) {
+        from_pubkey = addr == null ? null : String(addr).trim();
+        return fetch("/__mock/sendTransactions", {
+          method: "POST",
+          headers: { "content-type": "application/json" },
+          body: JSON.stringify({ from_pubkey: addr, transactions: items }),
+          signal: _signalOf(opts) || undefined,
+        });
+      }).then(function (resp) {
+        if (!resp.ok) {
+          return resp.text().then(function (text) {
+            throw _mockHttpError(resp.status, text, "sendTransactions");
+          });
+        }
+        return resp.json();
+      }).then(function (resp) {
+        var sendResults = batchSendResults(resp, items.length);
+        fireOnSubmitted(opts, sendResults);
+        return awaitBatchInclusion("mock", items, sendResults, from_pubkey, startedAt, opts);
+      });
+    }
+
+    function nativeSendTransactions(items, opts) {
+      var startedAt = Date.now();
+      var from_pubkey;
+      return window.getNodeAddress().then(function (v) {
+        from_pubkey = v == null ? null : String(v).trim();
+        return _raceAbort(callNative("sendTransactions", {
+          transactions: items,
+          confirm_title: (opts && opts.confirmTitle) || undefined,
+          confirm_subtitle: (opts && opts.confirmSubtitle) || undefined,
+        }), _signalOf(opts));
+      }).then(function (resp) {
+        // A top-level error with no per-item results means the whole batch
+        // was refused (typically the user declining the confirm screen).
+        if (resp && resp.error && !Array.isArray(resp.results)) {
+          throw _nativeError(resp.error, "sendTransactions");
+        }
+        var sendResults = batchSendResults(resp, items.length);
+        fireOnSubmitted(opts, sendResults);
+        return awaitBatchInclusion("native", items, sendResults, from_pubkey, startedAt, opts);
+      });
+    }
+
+    // One QR code carries the whole batch ({ type: "txs", txs: [...] });
+    // the modal stays up until every item is seen on-chain or times out.
+    // Cancel (button or opts.signal) aborts the remaining waits. Only a
+    // Usernode mobile app that understands "txs" payloads can scan it; older
+    // apps know the single-transfer "tx" payload only.
+    function qrSendTransactions(items, opts) {
+      var payload = {
+        type: "txs",
+        txs: items.map(function (item) {
+          return {
+            to: item.destination_pubkey,
+            amount: typeof item.amount === "number" ? item.amount : parseInt(item.amount, 10),
+            memo: item.memo || "",
+          };
+        }),
+      };
+      if (opts && opts.confirmTitle) payload.confirmTitle = opts.confirmTitle;
+      if (opts && opts.confirmSubtitle) payload.confirmSubtitle = opts.confirmSubtitle;
+
+      // Internal controller so Cancel can stop the per-item waits too.
+      var controller = typeof AbortController === "function" ? new AbortController() : null;
+      var userSignal = _signalOf(opts);
+      var startedAt = Date.now();
+      var confirmed = 0;
+
+      return new Promise(function (resolve, reject) {
+        var settled = false;
+        function finish(err, results) {
+          if (settled) return;
+          settled = true;
+          hideQrModal();
+          _qrCancelReject = null;
+          if (userSignal) userSignal.removeEventListener("abort", onUserAbort);
+          if (err && controller) controller.abort();
+          if (err) reject(err);
+          else resolve(results);
+        }
+        function onUserAbort() { finish(_abortError()); }
+        if (userSignal) userSignal.addEventListener("abort", onUserAbort);
+        _qrCancelReject = finish;
+
+        showQrModal(payload, Object.assign({}, opts, {
+          confirmSubtitle: (opts && opts.confirmSubtitle) ||
+            "Scan this QR code with the Usernode mobile app to send " + items.length + " transactions.",
+        }));
+
+        var sendResults = items.map(function () { return { queued: true }; });
+        var ticker = setInterval(updateProgress, 1000);
+        function updateProgress() {
+          if (settled) { clearInterval(ticker); return; }
+          updateQrStatus(
+            "Waiting for transactions... " + confirmed + "/" + items.length +
+            " (" + Math.round((Date.now() - startedAt) / 1000) + "s)"
+          );
+        }
+
+        awaitBatchInclusion("qr", items, sendResults, null, startedAt - 5000, opts, {
+          waitOpts: function (item) {
+            return Object.assign({}, opts, {
+              pollIntervalMs: opts && typeof opts.pollIntervalMs === "number" ? opts.pollIntervalMs : 2000,
+              filterOptions: { account: item.destination_pubkey },
+              signal: controller ? controller.signal : undefined,
+            });
+          },
+          onItem: function (result) {
+            if (result.ok) confirmed++;
+            updateProgress();
+          },
+        }).then(function (results) {
+          clearInterval(ticker);
+          console.log("[usernode-bridge] QR batch settled:", confirmed + "/" + items.length, "confirmed");
+          finish(null, results);
+        }, function (err) {
+          clearInterval(ticker);
+          finish(err);
+        });
+      });
+    }
+
+    window.sendTransactions = function sendTransactions(list, opts) {
+      var items;
+      try { items = normalizeBatch(list); }
+      catch (e) { return Promise.reject(e); }
+      var signal = _signalOf(opts);
+      if (signal && signal.aborted) return Promise.reject(_abortError());
+
+      // One guard for the whole batch; each item gets its own nonce
+      // ("<key>:<index>" for a string key).
+      var idem = resolveIdempotency(items.map(function (item) {
+        return item.destination_pubkey + "|" + item.amount + "|" + (item.memo == null ? "" : item.memo);
+      }).join(","), opts);
+      if (idem) {
+        items.forEach(function (item, i) {
+          item.memo = stampMemoNonce(item.memo, idem.nonce + ":" + i);
+        });
+      }
+
+      return withIdempotencyGuard(idem, "sendTransactions", function () {
+        return isMockEnabled().then(function (useMock) {
+          if (useMock) return mockSendTransactions(items, opts);
+          if (window.usernode.isNative) return nativeSendTransactions(items, opts);
+          return qrSendTransactions(items, opts);
+        });
       });
     };
   }
@@ -3305,10 +5113,7 @@
       }).then(function (resp) {
         if (!resp.ok) {
           return resp.text().then(function (text) {
-            if (resp.status === 404) {
-              throw new Error("Mock API not enabled. Start server with `node server.js --local-dev`.");
-            }
-            throw new Error("Mock getTransactions failed (" + resp.status + "): " + text);
+            throw _mockHttpError(resp.status, text, "getTransactions");
           });
         }
         return resp.json();
@@ -3318,8 +5123,10 @@
     function nativeGetTransactions(filterOptions) {
       var base = window.usernode.transactionsBaseUrl;
       if (!base) {
-        return Promise.reject(new Error(
-          "transactionsBaseUrl not configured (set window.usernode.transactionsBaseUrl)"
+        return Promise.reject(new UsernodeError(
+          ERROR_CODES.TRANSPORT_UNCONFIGURED,
+          "transactionsBaseUrl not configured (set window.usernode.transactionsBaseUrl)",
+          { transport: "transactionsBaseUrl", method: "getTransactions" }
         ));
       }
       return fetch(base + "/transactions", {
@@ -3329,7 +5136,11 @@
       }).then(function (resp) {
         if (!resp.ok) {
           return resp.text().then(function (text) {
-            throw new Error("getTransactions failed (" + resp.status + "): " + text);
+            throw new UsernodeError(
+              ERROR_CODES.TRANSPORT_HTTP,
+              "getTransactions failed (" + resp.status + "): " + text,
+              { transport: "transactionsBaseUrl", method: "getTransactions", status: resp.status, body: text }
+            );
           });
         }
         return resp.json();
@@ -3346,6 +5157,150 @@
     };
   }
 
+  // =====================================================================
+  //  Public API: getBalance / getAccountInfo
+  // =====================================================================
+  //
+  // window.getBalance(account?)     → Promise<{ account, balance, block_height }>
+  // window.getAccountInfo(account?) → Promise<{ account, balance, block_height,
+  //                                     tx_count, last_activity_ms }>
+  //
+  // `account` defaults to getNodeAddress(). Routed like getTransactions: the
+  // mock server computes both from its in-memory transactions; otherwise
+  // they come from the explorer at transactionsBaseUrl or, when that isn't
+  // set, through the dapp server's /explorer-api proxy on the active chain.
+  // Fields a transport can't provide are null: the mock chain has no block
+  // heights, and the explorer doesn't count an account's transactions.
+  var _EXPLORER_PROXY_BASE = "/explorer-api";
+  var _proxyChainBase = null;
+
+  function _explorerJson(url, body, method) {
+    return fetch(url, body ? {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(body),
+    } : { method: "GET" }).then(function (resp) {
+      if (resp.ok) return resp.json();
+      return resp.text().then(function (text) {
+        throw new UsernodeError(
+          ERROR_CODES.TRANSPORT_HTTP,
+          method + " failed (" + resp.status + "): " + text,
+          { transport: "explorer", method: method, status: resp.status, body: text }
+        );
+      });
+    });
+  }
+
+  // Chain-scoped explorer base: transactionsBaseUrl, or the proxy plus the
+  // active chain id (looked up once, retried after a failure).
+  function _explorerChainBase(method) {
+    var base = window.usernode.transactionsBaseUrl;
+    if (base) return Promise.resolve(base);
+    if (!_proxyChainBase) {
+      _proxyChainBase = _explorerJson(_EXPLORER_PROXY_BASE + "/active_chain", null, method).then(function (data) {
+        if (!data || !data.chain_id) {
+          throw new UsernodeError(
+            ERROR_CODES.TRANSPORT_UNCONFIGURED,
+            "No active chain from " + _EXPLORER_PROXY_BASE + " (set window.usernode.transactionsBaseUrl)",
+            { transport: "explorer", method: method }
+          );
+        }
+        return _EXPLORER_PROXY_BASE + "/" + encodeURIComponent(data.chain_id);
+      });
+      _proxyChainBase.catch(function () { _proxyChainBase = null; });
+    }
+    return _proxyChainBase;
+  }
+
+  function _amountOf(v) {
+    var n = typeof v === "number" ? v : parseFloat(v);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  function _accountOrSelf(account) {
+    if (account != null && String(account).trim()) return Promise.resolve(String(account).trim());
+    return window.getNodeAddress().then(function (v) { return v == null ? null : String(v).trim(); });
+  }
+
+  function mockAccountInfo(account, method) {
+    return fetch("/__mock/getAccountInfo", {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ account: account }),
+    }).then(function (resp) {
+      if (resp.ok) return resp.json();
+      return resp.text().then(function (text) {
+        throw _mockHttpError(resp.status, text, method);
+      });
+    });
+  }
+
+  // The mock server only knows a height when it simulates blocks.
+  function _mockBlockHeight(info) {
+    return typeof info.block_height === "number" ? info.block_height : null;
+  }
+
+  function explorerBalance(account) {
+    return _explorerChainBase("getBalance").then(function (base) {
+      return _explorerJson(
+        base + "/blocks/best_tip/" + encodeURIComponent(account) + "/balance?recompute=1",
+        null,
+        "getBalance"
+      );
+    }).then(function (data) {
+      return {
+        account: account,
+        balance: _amountOf(data && data.balance),
+        block_height: _txBlockHeight(data || {}),
+      };
+    });
+  }
+
+  if (typeof window.getBalance !== "function") {
+    window.getBalance = function getBalance(account) {
+      return _accountOrSelf(account).then(function (acct) {
+        return isMockEnabled().then(function (useMock) {
+          if (!useMock) return explorerBalance(acct);
+          return mockAccountInfo(acct, "getBalance").then(function (info) {
+            return { account: acct, balance: _amountOf(info.balance), block_height: _mockBlockHeight(info) };
+          });
+        });
+      });
+    };
+  }
+
+  if (typeof window.getAccountInfo !== "function") {
+    window.getAccountInfo = function getAccountInfo(account) {
+      return _accountOrSelf(account).then(function (acct) {
+        return isMockEnabled().then(function (useMock) {
+          if (useMock) {
+            return mockAccountInfo(acct, "getAccountInfo").then(function (info) {
+              return {
+                account: acct,
+                balance: _amountOf(info.balance),
+                block_height: _mockBlockHeight(info),
+                tx_count: typeof info.tx_count === "number" ? info.tx_count : null,
+                last_activity_ms: typeof info.last_activity_ms === "number" ? info.last_activity_ms : null,
+              };
+            });
+          }
+          return Promise.all([
+            explorerBalance(acct),
+            _explorerChainBase("getAccountInfo").then(function (base) {
+              return _explorerJson(base + "/transactions", { account: acct, limit: 1 }, "getAccountInfo");
+            }),
+          ]).then(function (results) {
+            var latest = normalizeTransactionsResponse(results[1])[0];
+            return Object.assign(results[0], {
+              tx_count: null,
+              last_activity_ms: latest ? extractTxTimestampMs(latest) : null,
+            });
+          });
+        });
+      });
+    };
+  }
+
   // =====================================================================
   //  Public API: signMessage
   // =====================================================================
@@ -3356,17 +5311,168 @@
       }
       return isMockEnabled().then(function (useMock) {
         if (useMock) {
-          return window.getNodeAddress().then(function (pubkey) {
+          var pubkey;
+          return _requireMethod("mock", "signMessage").then(function () {
+            return window.getNodeAddress();
+          }).then(function (v) {
+            pubkey = v;
+            return _mockSign(pubkey, message);
+          }).then(function (signature) {
+            // Identities without a signing key (no WebCrypto Ed25519, or a
+            // mockAddress override) keep the old placeholder, which
+            // verifyMessage rejects.
             return {
               pubkey: pubkey,
-              signature: "mock_signature_" + btoa(message).replace(/=+$/, ""),
+              signature: signature ||
+                "mock_signature_" + _bytesToBase64(new TextEncoder().encode(String(message))).replace(/=+$/, ""),
             };
           });
         }
-        return Promise.reject(new Error(
-          "signMessage is not available in QR mode. Use the Usernode mobile app directly."
+        return Promise.reject(new UsernodeError(
+          ERROR_CODES.QR_UNSUPPORTED,
+          "signMessage is not available in QR mode. Use the Usernode mobile app directly.",
+          { transport: "qr", method: "signMessage" }
         ));
       });
     };
   }
+
+  // =====================================================================
+  //  Public API: verifyMessage
+  // =====================================================================
+  //
+  // window.usernode.verifyMessage(pubkey, message, signature, opts?)
+  //   → Promise<boolean>
+  //
+  // Checks a base64 Ed25519 signature over the UTF-8 message, and that the
+  // signing key belongs to `pubkey`. Key-backed mock identities
+  // ("mockpk_<64 hex>") carry their key. For any other address the key must
+  // come from opts.resolvePublicKey(pubkey, claimedKey) → key (or a promise
+  // of one), a lookup the dapp trusts; opts.publicKey (raw 32 bytes, hex or
+  // base64) is only handed to it as `claimedKey`, since a signature under a
+  // key of the signer's own choosing proves nothing about the address.
+  // Resolves false — never rejects — for a bad signature, an unbound key or
+  // a browser without Ed25519. The server-side twin is verifySignedMessage
+  // in examples/lib/dapp-server.js.
+  function _publicKeyBytes(publicKey) {
+    if (publicKey == null) return null;
+    if (publicKey instanceof Uint8Array) return publicKey.length === 32 ? publicKey : null;
+    var text = String(publicKey);
+    var bytes = /^[0-9a-fA-F]{64}$/.test(text) ? _hexToBytes(text.toLowerCase()) : _base64ToBytes(text);
+    return bytes && bytes.length === 32 ? bytes : null;
+  }
+
+  function _sameBytes(a, b) {
+    if (a.length !== b.length) return false;
+    for (var i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+    return true;
+  }
+
+  // → Promise<Uint8Array | null>
+  function _verifyPublicKeyBytes(pubkey, opts) {
+    var claimed = _publicKeyBytes(opts && opts.publicKey);
+    var m = _MOCK_KEYED_PUBKEY_RE.exec(pubkey == null ? "" : String(pubkey));
+    if (m) {
+      var own = _hexToBytes(m[1]);
+      return Promise.resolve(!claimed || _sameBytes(claimed, own) ? own : null);
+    }
+    if (!opts || typeof opts.resolvePublicKey !== "function") return Promise.resolve(null);
+    return Promise.resolve()
+      .then(function () { return opts.resolvePublicKey(String(pubkey), claimed); })
+      .then(_publicKeyBytes, function () { return null; });
+  }
+
+  window.usernode.verifyMessage = function verifyMessage(pubkey, message, signature, opts) {
+    var sigBytes = signature == null ? null : _base64ToBytes(signature);
+    var subtle = _subtle();
+    if (!sigBytes || sigBytes.length !== 64 || !subtle) return Promise.resolve(false);
+    return _verifyPublicKeyBytes(pubkey, opts).then(function (keyBytes) {
+      if (!keyBytes) return false;
+      return subtle.importKey("raw", keyBytes, { name: "Ed25519" }, false, ["verify"]).then(function (key) {
+        return subtle.verify({ name: "Ed25519" }, key, sigBytes, new TextEncoder().encode(String(message)));
+      });
+    }).catch(function () { return false; });
+  };
+
+  // =====================================================================
+  //  Public API: signIn / signOut
+  // =====================================================================
+  //
+  // window.usernode.signIn(opts?)  → Promise<{ pubkey, expires_at }>
+  // window.usernode.signOut(opts?) → Promise<void>
+  //
+  // Round trip against a createAuthSessions mount on the dapp server
+  // (opts.baseUrl, default "/__usernode/auth"): fetch a challenge, sign it
+  // with signMessage, post the signature back. The server answers with an
+  // HttpOnly session cookie, so later same-origin requests are
+  // authenticated without the page ever holding the token.
+  var _DEFAULT_AUTH_BASE = "/__usernode/auth";
+
+  function _authPost(url, body, method) {
+    return fetch(url, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(body || {}),
+      credentials: "same-origin",
+    }).then(function (resp) {
+      if (resp.ok) return resp.json();
+      return resp.text().then(function (text) {
+        var message = text;
+        try { message = JSON.parse(text).error || text; } catch (_) {}
+        throw new UsernodeError(
+          resp.status === 401 ? ERROR_CODES.AUTH_FAILED : ERROR_CODES.TRANSPORT_HTTP,
+          method + " failed (" + resp.status + "): " + message,
+          { transport: "auth", method: method, status: resp.status, body: text }
+        );
+      });
+    });
+  }
+
+  window.usernode.signIn = function signIn(opts) {
+    var base = (opts && opts.baseUrl) || _DEFAULT_AUTH_BASE;
+    var challenge;
+    return _authPost(base + "/challenge", null, "signIn").then(function (c) {
+      challenge = c;
+      return window.signMessage(challenge.message);
+    }).then(function (signed) {
+      return _authPost(base + "/verify", {
+        nonce: challenge.nonce,
+        pubkey: signed.pubkey,
+        signature: signed.signature,
+        public_key: signed.public_key || undefined,
+      }, "signIn");
+    });
+  };
+
+  window.usernode.signOut = function signOut(opts) {
+    var base = (opts && opts.baseUrl) || _DEFAULT_AUTH_BASE;
+    return _authPost(base + "/logout", null, "signOut").then(function () {});
+  };
+
+  // =====================================================================
+  //  Outbox recovery
+  // =====================================================================
+  // Deferred until the DOM is parsed so the dapp's own scripts have had a
+  // chance to set serverCacheUrl / transactionsBaseUrl and register
+  // onRecovered before the first resumed poll goes out.
+  // The heartbeat starts right away so other tabs see this one as alive;
+  // leaving the page drops it so a reload resumes without waiting out
+  // _OUTBOX_STALE_MS.
+  _outboxBeat();
+  window.addEventListener("pagehide", function () { _outboxBeat(true); });
+  window.addEventListener("pageshow", function () { _outboxBeat(); });
+
+  function startOutboxRecovery() {
+    resumeOutbox();
+    setInterval(function () {
+      _outboxBeat();
+      resumeOutbox();
+    }, _OUTBOX_HEARTBEAT_MS);
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", function () { setTimeout(startOutboxRecovery, 0); });
+  } else {
+    setTimeout(startOutboxRecovery, 0);
+  }
 })();